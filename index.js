@@ -1,7 +1,27 @@
 const express = require("express");
+const path = require("path");
 const app = express();
 const ScraperManager = require("./src/scrapers/ScraperManager");
-const { TorrentManager } = require("./src/torrents/TorrentManager");
+const TorrentManager = require("./src/torrents/TorrentManager");
+const StreamRequest = require("./src/utils/StreamRequest");
+const MetadataResolver = require("./src/metadata/MetadataResolver");
+const StreamPipeline = require("./src/streams/StreamPipeline");
+const ResponseCache = require("./src/utils/ResponseCache");
+const UserConfig = require("./src/utils/UserConfig");
+const config = require("./src/utils/Config");
+const { httpClient } = require("./src/utils/HttpClient");
+const { proxyPools } = require("./src/utils/ProxyPool");
+const { sessionStore } = require("./src/utils/SessionStore");
+const { challengeSolver } = require("./src/utils/ChallengeSolver");
+const { browserPool } = require("./src/utils/BrowserPool");
+const { embedResolvers } = require("./src/resolvers/EmbedResolverRegistry");
+const { deobfuscator } = require("./src/resolvers/Deobfuscator");
+
+// Refuse to start on contradictory settings rather than misbehave later
+const configErrors = config.validate();
+if (configErrors.length > 0) {
+  throw new Error(`Invalid configuration: ${configErrors.join("; ")}`);
+}
 
 // Enable CORS for all routes
 app.use((req, res, next) => {
@@ -20,25 +40,65 @@ app.use((req, res, next) => {
 app.use(express.json());
 
 // Initialize managers
-const scraperManager = new ScraperManager();
-const torrentManager = new TorrentManager();
+// Both managers share one resolver so IMDb lookups are cached once
+const metadataResolver = new MetadataResolver();
+const scraperManager = new ScraperManager({ metadataResolver });
+const streamPipeline = new StreamPipeline();
+const torrentManager = new TorrentManager({ metadataResolver, streamPipeline });
+const responseCache = new ResponseCache();
+
+// Cache lifetime in seconds for stream responses where some sources timed out
+const PARTIAL_RESULTS_TTL = 300;
 
 // Basic health check route
 app.get("/", (req, res) => {
   res.json({ status: "Server is running" });
 });
 
+// Addon routes are served both at the root and below an encoded per-user
+// config segment, e.g. /<config>/manifest.json, see UserConfig
+const addon = express.Router({ mergeParams: true });
+
+addon.use((req, res, next) => {
+  if (!req.params.config) {
+    req.userConfig = null;
+    return next();
+  }
+
+  // Unknown paths such as /favicon.ico are not configs, leave them to the 404
+  if (!UserConfig.isEncoded(req.params.config)) {
+    return next("router");
+  }
+
+  try {
+    req.userConfig = UserConfig.decode(req.params.config);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Configure page, pre-filled from the config segment when there is one
+addon.get("/configure", (req, res) => {
+  res.sendFile(path.join(__dirname, "index.html"));
+});
+
 // Stremio Addon Manifest Route (صححناه)
-app.get("/manifest.json", (req, res) => {
+addon.get("/manifest.json", (req, res) => {
   res.json({
     id: "com.ultimate.stream.v2",
     version: "1.0.0",
     name: "Ultimate Stream",
     description: "أفضل إضافة لستريمو",
-    resources: ["stream"],
+    resources: [
+      "catalog",
+      // Only our own catalog items carry scraped: IDs, Cinemeta handles tt IDs
+      { name: "meta", types: ["movie", "series"], idPrefixes: ["scraped:"] },
+      "stream"
+    ],
     types: ["movie", "series"],
-    idPrefixes: ["tt"],
-    catalogs: [],
+    idPrefixes: ["tt", "scraped:"],
+    catalogs: scraperManager.getCatalogs(["movie", "series"], req.userConfig),
     behaviorHints: {
       configurable: true,
       configurationRequired: false
@@ -47,28 +107,81 @@ app.get("/manifest.json", (req, res) => {
   });
 });
 
+// Stremio Catalog Route
+// Extras arrive as a query-string-like path segment, e.g. /catalog/movie/ultimate-all/search=matrix&skip=100.json
+async function handleCatalog(req, res) {
+  try {
+    const { type, id } = req.params;
+    const extra = req.params.extra
+      ? Object.fromEntries(new URLSearchParams(req.params.extra))
+      : {};
+
+    const key = responseCache.buildKey('catalog', { type, id, extra, userConfig: req.userConfig });
+    await responseCache.handle(res, 'catalog', key, async () => {
+      const metas = await scraperManager.getCatalog(type, id, extra, req.userConfig);
+      return { metas };
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.json({ metas: [] });
+  }
+}
+
+addon.get('/catalog/:type/:id.json', handleCatalog);
+addon.get('/catalog/:type/:id/:extra.json', handleCatalog);
+
+// Stremio Meta Route
+addon.get('/meta/:type/:id.json', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const key = responseCache.buildKey('meta', { type, id });
+    await responseCache.handle(res, 'meta', key, async () => {
+      const meta = await scraperManager.getMeta(id, type);
+      return { meta };
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.json({ meta: null });
+  }
+});
+
 // Stremio Stream Route
-app.get('/stream/:type/:id.json', async (req, res) => {
+addon.get('/stream/:type/:id.json', async (req, res) => {
   try {
     const { type, id } = req.params;
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Content-Type', 'application/json');
 
-    let streams = [];
+    const key = responseCache.buildKey('stream', { type, id, userConfig: req.userConfig });
+    await responseCache.handle(res, 'stream', key, async () => {
+      // Series episodes arrive as tt1234567:2:5
+      const request = StreamRequest.parse(type, id, {
+        deadline: Date.now() + config.get('timeout'),
+        userConfig: req.userConfig
+      });
 
-    // Get streams from scrapers
-    const scrapedStreams = await scraperManager.getStreams(id);
-    if (scrapedStreams && scrapedStreams.length > 0) {
-      streams = streams.concat(scrapedStreams);
-    }
+      // Scrapers and torrent sources all run concurrently under the same deadline
+      const [scraped, torrents] = await Promise.all([
+        scraperManager.collectStreams(request),
+        torrentManager.collectStreams(request)
+      ]);
 
-    // Get streams from torrents
-    const torrentStreams = await torrentManager.getStreams(id);
-    if (torrentStreams && torrentStreams.length > 0) {
-      streams = streams.concat(torrentStreams);
-    }
+      // Normalize, dedupe and rank scraped and torrent streams together
+      const streams = streamPipeline.process(
+        [...scraped.streams, ...torrents.streams],
+        req.userConfig ? req.userConfig.getPipelineOptions() : {}
+      );
+
+      const timedOut = [...scraped.report.timedOut, ...torrents.report.timedOut];
+      if (timedOut.length > 0) {
+        res.setHeader('X-Sources-Timed-Out', timedOut.join(', '));
+        // Partial results, ask again soon instead of pinning them for the full TTL
+        return { streams, cacheMaxAge: PARTIAL_RESULTS_TTL };
+      }
 
-    res.json({ streams });
+      return { streams };
+    });
   } catch (error) {
     console.error('Error:', error);
     res.json({ streams: [] });
@@ -78,7 +191,39 @@ app.get('/stream/:type/:id.json', async (req, res) => {
 // API Routes
 app.get("/api/scrapers", (req, res) => {
   const scrapers = scraperManager.getEnabledScrapers();
-  res.json(scrapers);
+  res.json(scrapers.map(scraper => scraperManager.describeScraper(scraper)));
+});
+
+app.get("/api/stats", (req, res) => {
+  res.json({
+    scrapers: scraperManager.getStats(),
+    torrents: torrentManager.getStats(),
+    metadata: metadataResolver.singleFlight.getStats(),
+    http: httpClient.getStats(),
+    proxies: proxyPools.getStats(),
+    sessions: sessionStore.getStats(),
+    challenges: challengeSolver.getStats(),
+    browsers: browserPool.getStats(),
+    resolvers: embedResolvers.getStats(),
+    deobfuscator: deobfuscator.getStats()
+  });
+});
+
+// Best matching page per scraper for an IMDb ID, with match scores
+app.get("/api/match/:type/:imdbId", async (req, res) => {
+  try {
+    const { type, imdbId } = req.params;
+    const metadata = await metadataResolver.resolve(imdbId, type);
+    if (!metadata) {
+      return res.status(404).json({ error: `No metadata for ${imdbId}` });
+    }
+
+    const matches = await scraperManager.findMatches(metadata, type);
+    res.json({ metadata, matches });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.get("/api/torrents", (req, res) => {
@@ -86,6 +231,10 @@ app.get("/api/torrents", (req, res) => {
   res.json(torrents);
 });
 
+// Mounted last so /api routes never get mistaken for a config segment
+app.use(addon);
+app.use("/:config", addon);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -98,6 +247,11 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
+
+  // Close pooled browsers on shutdown, ErrorHandler exits the process afterwards
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => browserPool.shutdown());
+  }
 }
 
 // Export for Vercel
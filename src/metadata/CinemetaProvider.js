@@ -0,0 +1,51 @@
+const axios = require('axios');
+const MetadataProvider = require('./MetadataProvider');
+const config = require('../utils/Config');
+
+/**
+ * Resolves IMDb IDs through a Cinemeta-compatible addon endpoint
+ */
+class CinemetaProvider extends MetadataProvider {
+    constructor(baseUrl = config.get('metadata.cinemetaUrl')) {
+        super('Cinemeta');
+        this.baseUrl = baseUrl;
+        this.timeout = 10000;
+    }
+    
+    /**
+     * Resolve an IMDb ID via /meta/:type/:id.json
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - Content type (movie/series)
+     * @returns {Object} Metadata object or null if not found
+     */
+    async resolve(imdbId, type) {
+        const url = `${this.baseUrl}/meta/${type}/${imdbId}.json`;
+        const response = await axios.get(url, {
+            timeout: this.timeout,
+            validateStatus: status => status < 500
+        });
+        
+        const meta = response.data && response.data.meta;
+        if (response.status !== 200 || !meta || !meta.name) {
+            return null;
+        }
+        
+        return this.createMetadata({
+            imdbId,
+            type: meta.type || type,
+            title: meta.name,
+            // releaseInfo looks like "1999" or "2008-2013" for series
+            year: (meta.releaseInfo || meta.year || '').toString().match(/\d{4}/)?.[0],
+            episodes: (meta.videos || [])
+                .filter(video => video.season !== undefined)
+                .map(video => ({
+                    season: video.season,
+                    episode: video.episode || video.number,
+                    name: video.name || video.title,
+                    released: video.released
+                }))
+        });
+    }
+}
+
+module.exports = CinemetaProvider;
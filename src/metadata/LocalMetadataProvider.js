@@ -0,0 +1,58 @@
+const fs = require('fs');
+const MetadataProvider = require('./MetadataProvider');
+const config = require('../utils/Config');
+
+/**
+ * Resolves IMDb IDs from a local JSON file, for offline use and fixtures
+ *
+ * Expected format:
+ * {
+ *   "tt0133093": { "type": "movie", "title": "The Matrix", "year": 1999,
+ *                  "aliases": ["ذا ماتريكس"] },
+ *   "tt0903747": { "type": "series", "title": "Breaking Bad", "year": 2008,
+ *                  "episodes": [{ "season": 1, "episode": 1, "name": "Pilot" }] }
+ * }
+ */
+class LocalMetadataProvider extends MetadataProvider {
+    constructor(filePath = config.get('metadata.localPath')) {
+        super('Local');
+        this.filePath = filePath;
+        this.entries = null;
+    }
+    
+    /**
+     * Resolve an IMDb ID from the local file
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - Content type (movie/series)
+     * @returns {Object} Metadata object or null if not listed
+     */
+    async resolve(imdbId, type) {
+        const entry = this.loadEntries()[imdbId];
+        if (!entry || (entry.type && entry.type !== type)) {
+            return null;
+        }
+        
+        return this.createMetadata({ ...entry, imdbId, type });
+    }
+    
+    /**
+     * Load and memoize the entries file
+     * @returns {Object} Entries keyed by IMDb ID
+     */
+    loadEntries() {
+        if (this.entries) return this.entries;
+        
+        try {
+            this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[${this.name}] Failed to load metadata file ${this.filePath}:`, error.message);
+            }
+            this.entries = {};
+        }
+        
+        return this.entries;
+    }
+}
+
+module.exports = LocalMetadataProvider;
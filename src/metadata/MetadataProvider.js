@@ -0,0 +1,46 @@
+/**
+ * Base metadata provider class that all metadata sources should extend
+ * Providers turn an IMDb ID into the title information needed to search scrapers and torrent sites
+ */
+class MetadataProvider {
+    constructor(name) {
+        this.name = name;
+        this.enabled = true;
+    }
+    
+    /**
+     * Resolve an IMDb ID to title metadata
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - Content type (movie/series)
+     * @returns {Object} Metadata object or null if unknown to this provider
+     */
+    async resolve(imdbId, type) {
+        throw new Error(`resolve method not implemented for ${this.name}`);
+    }
+    
+    /**
+     * Create a standardized metadata object
+     * @param {Object} data - Raw data from provider
+     * @returns {Object} Standardized metadata object
+     */
+    createMetadata(data) {
+        return {
+            imdbId: data.imdbId,
+            type: data.type || 'movie',
+            title: data.title,
+            originalTitle: data.originalTitle || data.title,
+            // Other known titles, e.g. the Arabic release title
+            aliases: data.aliases || [],
+            year: data.year ? parseInt(data.year) : null,
+            episodes: (data.episodes || []).map(episode => ({
+                season: parseInt(episode.season),
+                episode: parseInt(episode.episode),
+                name: episode.name || null,
+                released: episode.released || null
+            })),
+            provider: this.name
+        };
+    }
+}
+
+module.exports = MetadataProvider;
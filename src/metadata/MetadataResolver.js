@@ -0,0 +1,105 @@
+const CacheManager = require('../utils/CacheManager');
+const config = require('../utils/Config');
+const SingleFlight = require('../utils/SingleFlight');
+const CinemetaProvider = require('./CinemetaProvider');
+const LocalMetadataProvider = require('./LocalMetadataProvider');
+
+// Built-in providers selectable through METADATA_PROVIDERS
+const PROVIDERS = {
+    local: LocalMetadataProvider,
+    cinemeta: CinemetaProvider
+};
+
+/**
+ * Resolves IMDb IDs to title/year information through a chain of providers
+ * Providers are queried in order and the first answer wins
+ */
+class MetadataResolver {
+    constructor(options = {}) {
+        this.providers = options.providers || this.createProviders(config.get('metadata.providers'));
+        this.cache = options.cache || new CacheManager();
+        this.ttl = config.get('cacheTTL.meta');
+        this.singleFlight = new SingleFlight('MetadataResolver');
+    }
+    
+    /**
+     * Instantiate providers from their configured names
+     * @param {Array} names - Provider names
+     * @returns {Array} Provider instances
+     */
+    createProviders(names) {
+        return names
+            .map(name => name.trim().toLowerCase())
+            .filter(name => {
+                if (!PROVIDERS[name]) {
+                    console.error(`MetadataResolver: Unknown metadata provider "${name}"`);
+                    return false;
+                }
+                return true;
+            })
+            .map(name => new PROVIDERS[name]());
+    }
+    
+    /**
+     * Register an additional provider at the end of the chain
+     * @param {MetadataProvider} provider - Provider instance
+     */
+    addProvider(provider) {
+        this.providers.push(provider);
+    }
+    
+    /**
+     * Resolve an IMDb ID to title metadata
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - Content type (movie/series)
+     * @returns {Object} Metadata object or null if no provider knows the ID
+     */
+    async resolve(imdbId, type) {
+        const cacheKey = `metadata:${type}:${imdbId}`;
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        // Scrapers and torrent sources ask for the same ID at the same time
+        return this.singleFlight.do(cacheKey, () => this.resolveFromProviders(imdbId, type, cacheKey));
+    }
+    
+    /**
+     * Query providers in order and cache the first answer
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - Content type (movie/series)
+     * @param {string} cacheKey - Cache key for the result
+     * @returns {Object} Metadata object or null
+     */
+    async resolveFromProviders(imdbId, type, cacheKey) {
+        for (const provider of this.providers.filter(p => p.enabled)) {
+            try {
+                const metadata = await provider.resolve(imdbId, type);
+                if (metadata) {
+                    await this.cache.set(cacheKey, metadata, this.ttl);
+                    return metadata;
+                }
+            } catch (error) {
+                console.error(`MetadataResolver: ${provider.name} failed for ${imdbId}:`, error.message);
+            }
+        }
+        
+        console.log(`MetadataResolver: Could not resolve ${imdbId} (${type})`);
+        return null;
+    }
+    
+    /**
+     * Get the name of a specific episode
+     * @param {Object} metadata - Resolved metadata
+     * @param {number} season - Season number
+     * @param {number} episode - Episode number
+     * @returns {string} Episode name or null
+     */
+    getEpisodeName(metadata, season, episode) {
+        const match = (metadata.episodes || []).find(e => e.season === season && e.episode === episode);
+        return match ? match.name : null;
+    }
+}
+
+module.exports = MetadataResolver;
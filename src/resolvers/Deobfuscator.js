@@ -0,0 +1,300 @@
+const config = require('../utils/Config');
+
+// Cheap check whether a page has anything this stage could decode
+const MARKERS = /eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,|atob\s*\(|base64|JSON\.parse\s*\(|\\x[0-9a-f]{2}|\\u[0-9a-f{]|\\\/|['"]\s*\+\s*['"]|['"][A-Za-z0-9+/]{20,}={0,2}['"]/i;
+
+// Dean Edwards' packer: eval(function(p,a,c,k,e,d){...}('payload',radix,count,'k|e|y|s'.split('|'),0,{}))
+const PACKER_START = /eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[a-z]\s*\)/g;
+const PACKER_ARGS = /\}\s*\(\s*(['"])((?:\\[\s\S]|(?!\1)[^\\])*)\1\s*,\s*(\d+|\[\])\s*,\s*(\d+)\s*,\s*(['"])((?:\\[\s\S]|(?!\5)[^\\])*)\5\s*\.split\(\s*['"]\|['"]\s*\)/;
+
+const BASE64_CALL = /\b(?:atob|base64_decode|Base64\.decode)\s*\(\s*(['"])([A-Za-z0-9+/_=-]+)\1\s*\)/g;
+const BASE64_LITERAL = /(['"])([A-Za-z0-9+/]{20,}={0,2})\1/g;
+const JSON_PARSE_CALL = /JSON\.parse\s*\(\s*(['"])((?:\\[\s\S]|(?!\1)[^\\])*)\1\s*\)/g;
+const CONCATENATION = /(['"])((?:\\.|(?!\1)[^\\\n])*)\1\s*\+\s*(['"])((?:\\.|(?!\3)[^\\\n])*)\3/g;
+const ESCAPE_SEQUENCE = /\\x([0-9a-fA-F]{2})|\\u\{([0-9a-fA-F]{1,6})\}|\\u([0-9a-fA-F]{4})|\\\//g;
+
+// Decoded base64 literals are only kept when they look like player data
+const INTERESTING = /https?:|\/\/|\.m3u8|\.mp4|\.mpd|<iframe|\bfile\b|\bsources?\b/i;
+
+/**
+ * Reverses the usual ways embed hosts hide their media URLs
+ * Packed scripts (Dean Edwards' p,a,c,k,e,d packer), base64 and atob()
+ * blobs, JSON.parse() strings, hex/unicode escapes, escaped slashes and
+ * strings split into concatenations are decoded in place, pass after pass,
+ * so the URL patterns see plain text. Decoding is plain string processing,
+ * nothing from the page is ever run: packers are unpacked from their
+ * arguments, and packer variants whose arguments cannot be read are left as
+ * they are. The whole stage gets a time budget per page and returns what it
+ * decoded so far once that runs out.
+ */
+class Deobfuscator {
+    constructor(options = {}) {
+        this.timeout = options.timeout || config.get('embeds.deobfuscateTimeout');
+        this.maxPasses = options.maxPasses || 4;
+        this.maxInput = options.maxInput || 2 * 1024 * 1024;
+        this.stats = {
+            pages: 0,
+            unpacked: 0,
+            timeouts: 0
+        };
+    }
+
+    /**
+     * Decode a page or script
+     * @param {string} text - Page or script content
+     * @returns {string} Text with every obfuscation found decoded in place
+     */
+    deobfuscate(text) {
+        if (!text || text.length > this.maxInput || !MARKERS.test(text)) {
+            return text;
+        }
+
+        this.stats.pages++;
+        const deadline = Date.now() + this.timeout;
+        const steps = [
+            current => this.unpack(current),
+            current => this.decodeJsonParse(current),
+            current => this.decodeBase64(current),
+            current => this.foldConcatenation(current, deadline),
+            current => this.unescapeSequences(current)
+        ];
+
+        let current = text;
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+            let next = current;
+            for (const step of steps) {
+                if (Date.now() >= deadline) {
+                    this.stats.timeouts++;
+                    return next;
+                }
+                next = step(next);
+            }
+
+            if (next === current) break;
+            current = next;
+        }
+
+        return current;
+    }
+
+    /**
+     * Replace packed scripts with their unpacked source
+     * @param {string} text - Text
+     * @returns {string} Text with packers unpacked
+     */
+    unpack(text) {
+        let result = '';
+        let last = 0;
+
+        for (const match of text.matchAll(PACKER_START)) {
+            if (match.index < last) continue;
+
+            const open = text.indexOf('(', match.index);
+            const close = this.findClosingParen(text, open);
+            if (close === -1) continue;
+
+            const call = text.slice(open + 1, close);
+            const unpacked = this.unpackArguments(call);
+            if (unpacked !== null) {
+                this.stats.unpacked++;
+                result += text.slice(last, match.index) + unpacked;
+                last = close + 1;
+            }
+        }
+
+        return last === 0 ? text : result + text.slice(last);
+    }
+
+    /**
+     * Unpack by reading the packer's arguments, without running it
+     * @param {string} call - The packer function and its call, as passed to eval()
+     * @returns {string} Unpacked source, or null for packer variants this does not know
+     */
+    unpackArguments(call) {
+        const match = call.match(PACKER_ARGS);
+        if (!match) return null;
+
+        const payload = this.unescapeString(match[2]);
+        const radix = match[3] === '[]' ? 62 : parseInt(match[3]);
+        const count = parseInt(match[4]);
+        const keywords = this.unescapeString(match[6]).split('|');
+        if (radix < 2 || radix > 95) return null;
+
+        // The packer's own base-radix word encoding: 0-9a-z, then A-Z and beyond from char code 36 + 29
+        const encode = value => (value < radix ? '' : encode(Math.floor(value / radix))) +
+            ((value % radix) > 35 ? String.fromCharCode(value % radix + 29) : (value % radix).toString(36));
+
+        const words = new Map();
+        for (let i = 0; i < count; i++) {
+            if (keywords[i]) {
+                words.set(encode(i), keywords[i]);
+            }
+        }
+
+        return payload.replace(/\b\w+\b/g, word => words.has(word) ? words.get(word) : word);
+    }
+
+    /**
+     * Replace JSON.parse('...') calls with the JSON text they parse
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    decodeJsonParse(text) {
+        return text.replace(JSON_PARSE_CALL, (call, quote, body) => this.unescapeString(body));
+    }
+
+    /**
+     * Decode atob()/base64 calls, and base64 string literals that decode to player data
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    decodeBase64(text) {
+        return text
+            .replace(BASE64_CALL, (call, quote, encoded) => {
+                const decoded = this.decodeBase64String(encoded);
+                return decoded === null ? call : this.toLiteral(decoded, quote);
+            })
+            .replace(BASE64_LITERAL, (literal, quote, encoded) => {
+                const decoded = this.decodeBase64String(encoded);
+                return decoded !== null && INTERESTING.test(decoded) ? this.toLiteral(decoded, quote) : literal;
+            });
+    }
+
+    /**
+     * Write a decoded value back as a string literal
+     * A quote the value does not contain is picked, so URLs and markup inside
+     * stay free of backslashes for the extraction patterns.
+     * @param {string} value - Decoded value
+     * @param {string} preferred - Quote the encoded literal used
+     * @returns {string} String literal
+     */
+    toLiteral(value, preferred) {
+        const quote = [preferred, '"', "'"].find(candidate => !value.includes(candidate));
+        if (!quote || /[\\\r\n]/.test(value)) {
+            return JSON.stringify(value);
+        }
+        return `${quote}${value}${quote}`;
+    }
+
+    /**
+     * Decode base64 (standard or URL-safe) to text
+     * @param {string} encoded - Base64 data
+     * @returns {string} Decoded text, or null if it is binary rather than text
+     */
+    decodeBase64String(encoded) {
+        const decoded = Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+        if (!decoded || decoded.includes('�') || /[\x00-\x08\x0E-\x1F]/.test(decoded)) {
+            return null;
+        }
+        return decoded;
+    }
+
+    /**
+     * Join adjacent string literals, 'htt' + "ps://" -> 'https://'
+     * @param {string} text - Text
+     * @param {number} deadline - Time budget end
+     * @returns {string}
+     */
+    foldConcatenation(text, deadline) {
+        let current = text;
+        // Each round folds pairs, chains of n literals take log2(n) rounds
+        for (let round = 0; round < 20 && Date.now() < deadline; round++) {
+            const next = current.replace(CONCATENATION, (concat, quote, left, rightQuote, right) =>
+                `${quote}${left}${this.requote(right, rightQuote, quote)}${quote}`);
+            if (next === current) break;
+            current = next;
+        }
+        return current;
+    }
+
+    /**
+     * Decode hex and unicode escapes and escaped slashes
+     * Escapes producing quotes or backslashes are kept so string literals stay intact
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    unescapeSequences(text) {
+        return text.replace(ESCAPE_SEQUENCE, (sequence, hex, braced, unicode) => {
+            if (sequence === '\\/') return '/';
+
+            const code = parseInt(hex || braced || unicode, 16);
+            if (code > 0x10FFFF) return sequence;
+
+            const character = String.fromCodePoint(code);
+            return ['"', "'", '\\'].includes(character) ? sequence : character;
+        });
+    }
+
+    /**
+     * Turn the body of a JavaScript string literal into its value
+     * @param {string} body - Literal body without quotes
+     * @returns {string}
+     */
+    unescapeString(body) {
+        return body.replace(/\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|([\s\S]))/g, (sequence, hex, unicode, character) => {
+            if (hex || unicode) return String.fromCharCode(parseInt(hex || unicode, 16));
+            return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' }[character] || character;
+        });
+    }
+
+    /**
+     * Re-escape a literal body for another quote character
+     * @param {string} body - Literal body
+     * @param {string} from - Quote it was written for
+     * @param {string} to - Quote it will be written in
+     * @returns {string}
+     */
+    requote(body, from, to) {
+        if (from === to) return body;
+
+        return body.replace(/\\([\s\S])|(["'])/g, (match, escaped, quote) => {
+            if (escaped !== undefined) {
+                return escaped === from ? from : match;
+            }
+            return quote === to ? `\\${to}` : quote;
+        });
+    }
+
+    /**
+     * Find the parenthesis closing the one at an index, skipping string literals
+     * @param {string} text - Text
+     * @param {number} open - Index of "("
+     * @returns {number} Index of the matching ")", or -1
+     */
+    findClosingParen(text, open) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = open; i < text.length; i++) {
+            const character = text[i];
+            if (quote) {
+                if (character === '\\') i++;
+                else if (character === quote) quote = null;
+            } else if (character === '"' || character === "'" || character === '`') {
+                quote = character;
+            } else if (character === '(') {
+                depth++;
+            } else if (character === ')' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get deobfuscation statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+// Shared deobfuscator, used by every extraction
+const deobfuscator = new Deobfuscator();
+
+module.exports = {
+    Deobfuscator,
+    deobfuscator
+};
@@ -0,0 +1,53 @@
+const EmbedResolver = require('./EmbedResolver');
+const { mediaExtractor } = require('./MediaExtractor');
+
+const TOKEN_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * DoodStream and its many mirror domains
+ * The player fetches a base URL from /pass_md5/ and appends random characters
+ * and its token; the CDN only serves the file with the player host as Referer.
+ */
+class DoodstreamResolver extends EmbedResolver {
+    constructor() {
+        super('DoodStream', [/^(?:www\.)?(?:dood[a-z0-9]*|d0o0d|d000d|do0od|ds2play|ds2video|vide0|doply)\.[a-z]+$/]);
+    }
+
+    async resolve(url, context) {
+        const embedUrl = url.replace(/\/d\//, '/e/');
+        const origin = new URL(embedUrl).origin;
+        const html = await this.fetchText(embedUrl, context);
+
+        const passPath = (html.match(/\/pass_md5\/[^'"\s]+/) || [])[0];
+        if (!passPath) {
+            return this.createResult();
+        }
+
+        const base = (await this.fetchText(`${origin}${passPath}`, context, { 'Referer': embedUrl })).trim();
+        if (!/^https?:\/\//.test(base)) {
+            return this.createResult();
+        }
+
+        const token = passPath.split('/').pop();
+        return this.createResult({
+            sources: [{ url: `${base}${this.randomString(10)}?token=${token}&expiry=${Date.now()}` }],
+            headers: { 'Referer': `${origin}/` },
+            subtitles: mediaExtractor.extractSubtitles(html, embedUrl)
+        });
+    }
+
+    /**
+     * Random characters the player appends to the base URL
+     * @param {number} length - Number of characters
+     * @returns {string}
+     */
+    randomString(length) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += TOKEN_CHARACTERS[Math.floor(Math.random() * TOKEN_CHARACTERS.length)];
+        }
+        return result;
+    }
+}
+
+module.exports = DoodstreamResolver;
@@ -0,0 +1,81 @@
+/**
+ * Base embed resolver class that all player host resolvers should extend
+ * A resolver knows one player host: how to get from an embed URL to the
+ * media sources it plays, the request headers those sources need and the
+ * subtitles the player offers. Requests go through the scraper that found
+ * the embed, so its proxy, session and rate limits apply.
+ */
+class EmbedResolver {
+    /**
+     * @param {string} name - Resolver name, shown as the stream's server
+     * @param {Array} hosts - Host names (subdomains match too) or RegExps tested against the host name
+     */
+    constructor(name, hosts = []) {
+        this.name = name;
+        this.hosts = hosts;
+    }
+
+    /**
+     * Whether this resolver handles an embed URL
+     * @param {string} url - Embed URL
+     * @returns {boolean}
+     */
+    matches(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+
+        return this.hosts.some(host => host instanceof RegExp ?
+            host.test(hostname) :
+            hostname === host || hostname.endsWith(`.${host}`));
+    }
+
+    /**
+     * Resolve an embed URL
+     * @param {string} url - Embed URL
+     * @param {Object} context - { request(url, options) -> response, referer (page embedding the player) }
+     * @returns {Object} Result from createResult()
+     */
+    async resolve(url, context) {
+        throw new Error(`resolve method not implemented for ${this.name}`);
+    }
+
+    /**
+     * Fetch a page of the player host
+     * @param {string} url - Page URL
+     * @param {Object} context - See resolve()
+     * @param {Object} headers - Extra request headers, the Referer defaults to the embedding page
+     * @returns {string} Page content
+     */
+    async fetchText(url, context, headers = {}) {
+        const response = await context.request(url, {
+            headers: { ...(context.referer ? { 'Referer': context.referer } : {}), ...headers }
+        });
+        return response.text();
+    }
+
+    /**
+     * Create a standardized resolver result
+     * @param {Object} data - { sources: [{ url, quality }], headers, subtitles: [{ url, lang, label }], iframes }
+     * @returns {Object} { server, sources, headers (null if the sources play without), subtitles, iframes (nested players) }
+     */
+    createResult(data = {}) {
+        const headers = data.headers && Object.keys(data.headers).length > 0 ? data.headers : null;
+
+        return {
+            server: this.name,
+            sources: (data.sources || []).filter(source => source && source.url).map(source => ({
+                url: source.url,
+                quality: source.quality || null
+            })),
+            headers,
+            subtitles: data.subtitles || [],
+            iframes: data.iframes || []
+        };
+    }
+}
+
+module.exports = EmbedResolver;
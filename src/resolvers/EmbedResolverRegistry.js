@@ -0,0 +1,193 @@
+const { HttpError } = require('../utils/HttpClient');
+const config = require('../utils/Config');
+const EmbedResolver = require('./EmbedResolver');
+const GenericResolver = require('./GenericResolver');
+const StreamtapeResolver = require('./StreamtapeResolver');
+const DoodstreamResolver = require('./DoodstreamResolver');
+const { mediaExtractor } = require('./MediaExtractor');
+
+/**
+ * Picks the resolver for an embed URL by its host name
+ * Host-specific resolvers are tried in registration order; hosts nobody
+ * registered for, and hosts whose resolver found nothing in the page, go
+ * through the generic resolver. Request failures are not retried with the
+ * generic resolver, it would only fetch the same page again.
+ *
+ * Players often wrap another player (site -> player -> CDN player), so a
+ * page without media of its own has its iframes resolved in turn, each with
+ * the page embedding it as Referer, up to maxDepth levels below the embed.
+ * Every URL is visited once per resolution, which also breaks frame loops.
+ */
+class EmbedResolverRegistry {
+    constructor(options = {}) {
+        this.resolvers = [];
+        this.fallback = options.fallback || new GenericResolver();
+        this.maxDepth = options.maxDepth || config.get('embeds.maxDepth');
+        this.maxFrames = options.maxFrames || config.get('embeds.maxFrames');
+        // Resolver name -> { resolved, empty, failed }
+        this.stats = new Map();
+
+        for (const resolver of options.resolvers || [new StreamtapeResolver(), new DoodstreamResolver()]) {
+            this.register(resolver);
+        }
+    }
+
+    /**
+     * Add a host-specific resolver
+     * @param {EmbedResolver} resolver - Resolver instance
+     * @throws {Error} If it is not an EmbedResolver
+     */
+    register(resolver) {
+        if (!(resolver instanceof EmbedResolver)) {
+            throw new Error('Embed resolvers must extend EmbedResolver');
+        }
+        this.resolvers.push(resolver);
+    }
+
+    /**
+     * Find the resolver responsible for an embed URL
+     * @param {string} url - Embed URL
+     * @returns {EmbedResolver} Host-specific resolver, or the generic one
+     */
+    find(url) {
+        return this.resolvers.find(resolver => resolver.matches(url)) || this.fallback;
+    }
+
+    /**
+     * Resolve an embed URL to its media sources, following nested players
+     * @param {string} url - Embed URL
+     * @param {Object} context - { request(url, options) -> response, referer }, see EmbedResolver.resolve()
+     * @returns {Array} [{ url, quality, server, headers, subtitles, chain: [{ url, resolver }] from the embed to the source's player }]
+     * @throws {Error} If the embed page itself cannot be fetched; nested players failing are skipped
+     */
+    async resolve(url, context) {
+        return this.resolveFrame(url, context, { depth: 0, chain: [], visited: new Set() });
+    }
+
+    /**
+     * Resolve one player page, then its iframes if it has no media itself
+     * @param {string} frameUrl - Player URL
+     * @param {Object} context - Request context, referer set to the embedding page
+     * @param {Object} trace - { depth, chain (hops so far), visited (URLs of this resolution) }
+     * @returns {Array} Sources, see resolve()
+     */
+    async resolveFrame(frameUrl, context, trace) {
+        // Fragments never reach the server, the same page must not be visited twice
+        const url = frameUrl.replace(/#.*$/, '');
+        if (trace.visited.has(url)) {
+            return [];
+        }
+        trace.visited.add(url);
+
+        const result = await this.resolveHop(url, context);
+        const chain = [...trace.chain, { url, resolver: result.resolver }];
+        const sources = result.sources.map(source => ({
+            ...source,
+            server: result.server,
+            headers: result.headers,
+            subtitles: result.subtitles,
+            chain
+        }));
+
+        if (sources.length > 0 || trace.depth >= this.maxDepth) {
+            return sources;
+        }
+
+        for (const frame of result.iframes.slice(0, this.maxFrames)) {
+            try {
+                sources.push(...await this.resolveFrame(frame, { ...context, referer: url }, {
+                    depth: trace.depth + 1,
+                    chain,
+                    visited: trace.visited
+                }));
+            } catch (error) {
+                console.error(`EmbedResolverRegistry: Nested player ${frame} failed:`, error.message);
+            }
+        }
+
+        return sources;
+    }
+
+    /**
+     * Resolve a single player page with the resolver for its host
+     * @param {string} url - Player URL
+     * @param {Object} context - Request context
+     * @returns {Object} Resolver result, see EmbedResolver.createResult(), plus the resolver's name
+     */
+    async resolveHop(url, context) {
+        // Links straight to a media file need no resolving
+        if (mediaExtractor.isMediaUrl(url)) {
+            return {
+                ...this.fallback.createResult({ sources: [{ url }] }),
+                server: this.fallback.getServerName(url),
+                resolver: 'Direct'
+            };
+        }
+
+        const resolver = this.find(url);
+        if (resolver !== this.fallback) {
+            try {
+                const result = await resolver.resolve(url, context);
+                this.record(resolver, result);
+                if (result.sources.length > 0) {
+                    return { ...result, resolver: resolver.name };
+                }
+                console.warn(`EmbedResolverRegistry: ${resolver.name} found no sources in ${url}, trying the generic resolver`);
+            } catch (error) {
+                this.record(resolver, null);
+                if (error instanceof HttpError) {
+                    throw error;
+                }
+                console.error(`EmbedResolverRegistry: ${resolver.name} failed on ${url}:`, error.message);
+            }
+        }
+
+        try {
+            const result = await this.fallback.resolve(url, context);
+            this.record(this.fallback, result);
+            return { ...result, resolver: this.fallback.name };
+        } catch (error) {
+            this.record(this.fallback, null);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a resolver outcome
+     * @param {EmbedResolver} resolver - Resolver
+     * @param {Object} result - Its result, null if it failed
+     */
+    record(resolver, result) {
+        if (!this.stats.has(resolver.name)) {
+            this.stats.set(resolver.name, { resolved: 0, empty: 0, failed: 0 });
+        }
+        const stats = this.stats.get(resolver.name);
+
+        if (!result) {
+            stats.failed++;
+        } else if (result.sources.length > 0) {
+            stats.resolved++;
+        } else {
+            stats.empty++;
+        }
+    }
+
+    /**
+     * Get per-resolver statistics
+     * @returns {Array} [{ resolver, resolved, empty, failed }]
+     */
+    getStats() {
+        return [...this.resolvers, this.fallback].map(resolver => ({
+            resolver: resolver.name,
+            ...(this.stats.get(resolver.name) || { resolved: 0, empty: 0, failed: 0 })
+        }));
+    }
+}
+
+// Shared registry so every scraper resolves embeds the same way
+const embedResolvers = new EmbedResolverRegistry();
+
+module.exports = {
+    EmbedResolverRegistry,
+    embedResolvers
+};
@@ -0,0 +1,41 @@
+const EmbedResolver = require('./EmbedResolver');
+const { mediaExtractor } = require('./MediaExtractor');
+
+/**
+ * Fallback for player hosts without a resolver of their own
+ * Reads the sources and subtitle tracks straight out of the player page,
+ * and reports the frames it embeds for the registry to follow.
+ */
+class GenericResolver extends EmbedResolver {
+    constructor() {
+        super('Generic');
+    }
+
+    matches(url) {
+        return true;
+    }
+
+    async resolve(url, context) {
+        const html = await this.fetchText(url, context);
+
+        return {
+            ...this.createResult({
+                sources: mediaExtractor.extractSources(html, url),
+                subtitles: mediaExtractor.extractSubtitles(html, url),
+                iframes: mediaExtractor.extractIframes(html, url)
+            }),
+            server: this.getServerName(url)
+        };
+    }
+
+    /**
+     * Unknown hosts are named after themselves
+     * @param {string} url - Embed URL
+     * @returns {string} Host name without www.
+     */
+    getServerName(url) {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+}
+
+module.exports = GenericResolver;
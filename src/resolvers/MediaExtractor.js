@@ -0,0 +1,225 @@
+const cheerio = require('cheerio');
+const { deobfuscator } = require('./Deobfuscator');
+
+// Media URLs anywhere in a page, checked in order
+const VIDEO_URL_PATTERNS = [
+    // Direct video files
+    /https?:\/\/[^"'\s]+\.(?:mp4|mkv|avi|mov|wmv|flv|webm|m4v)/gi,
+    // HLS streams
+    /https?:\/\/[^"'\s]+\.m3u8[^"'\s]*/gi,
+    // DASH streams
+    /https?:\/\/[^"'\s]+\.mpd[^"'\s]*/gi,
+    // Common streaming patterns
+    /https?:\/\/[^"'\s]*(?:stream|video|play)[^"'\s]*\.(?:php|html|aspx?)[^"'\s]*/gi
+];
+
+// Player setup entries, e.g. JW Player's { file: "...", label: "720p" }
+const PLAYER_SOURCE_PATTERN = /\b(?:file|src)\s*:\s*["']([^"']+)["']\s*(?:,\s*(?:label|res|quality)\s*:\s*["']?([^"',}]+))?/gi;
+const PLAYER_TRACK_PATTERN = /\{[^{}]*?\bfile\s*:\s*["']([^"']+\.(?:vtt|srt)[^"']*)["'][^{}]*?\}/gi;
+const MEDIA_FILE = /\.(?:mp4|mkv|webm|m4v|m3u8|mpd)(?:[?#]|$)/i;
+const SUBTITLE_FILE = /\.(?:vtt|srt)(?:[?#]|$)/i;
+// Frames written by scripts, which the HTML parser sees as script text
+const SCRIPT_IFRAME_PATTERN = /<iframe\b[^>]*?\bsrc\s*=\s*\\?["']([^"'\\]+)\\?["']/gi;
+
+/**
+ * Pulls media sources and subtitles out of player pages
+ * Shared by the embed resolvers and the scrapers, so every scraper
+ * recognizes the same player markup. Pages go through the deobfuscator
+ * first, so packed or encoded player setups are read like plain ones.
+ */
+class MediaExtractor {
+    constructor() {
+        // The resolvers read sources, subtitles and frames from the same page in a row
+        this.lastInput = null;
+        this.lastOutput = null;
+    }
+
+    /**
+     * Find absolute media URLs anywhere in a text
+     * @param {string} html - Page or script content
+     * @returns {Array} Unique video URLs
+     */
+    extractVideoUrls(html) {
+        return this.findVideoUrls(this.deobfuscate(html));
+    }
+
+    /**
+     * Match the media URL patterns against already deobfuscated text
+     * @param {string} text - Page or script content
+     * @returns {Array} Unique video URLs
+     */
+    findVideoUrls(text) {
+        const urls = [];
+
+        for (const pattern of VIDEO_URL_PATTERNS) {
+            const matches = String(text || '').match(pattern);
+            if (matches) {
+                urls.push(...matches);
+            }
+        }
+
+        return [...new Set(urls)];
+    }
+
+    /**
+     * Find the sources a player page offers, with quality labels where the player has them
+     * Covers <video>/<source> tags, player setup objects (JW Player, Plyr,
+     * Video.js) and finally any media URL in the page.
+     * @param {string} html - Player page
+     * @param {string} baseUrl - Page URL, for relative sources
+     * @returns {Array} [{ url, quality }]
+     */
+    extractSources(html, baseUrl) {
+        const text = this.deobfuscate(html);
+        const sources = new Map();
+        const add = (url, quality) => {
+            const absolute = this.absolutize(url, baseUrl);
+            if (absolute && (!sources.has(absolute) || (quality && !sources.get(absolute).quality))) {
+                sources.set(absolute, { url: absolute, quality: quality ? String(quality).trim() : null });
+            }
+        };
+
+        const $ = cheerio.load(text);
+        $('video[src], video source[src], source[src][type*="video"], source[src][type*="mpegurl"]').each((i, element) => {
+            const $el = $(element);
+            add($el.attr('src'), $el.attr('label') || $el.attr('res') || $el.attr('size') || $el.attr('data-quality'));
+        });
+
+        for (const [, file, label] of text.matchAll(PLAYER_SOURCE_PATTERN)) {
+            if (MEDIA_FILE.test(file)) {
+                add(this.unescape(file), label);
+            }
+        }
+
+        for (const url of this.findVideoUrls(text)) {
+            add(url, null);
+        }
+
+        return [...sources.values()];
+    }
+
+    /**
+     * Find the subtitle tracks a player page offers
+     * @param {string} html - Player page
+     * @param {string} baseUrl - Page URL, for relative tracks
+     * @returns {Array} [{ url, lang, label }]
+     */
+    extractSubtitles(html, baseUrl) {
+        const text = this.deobfuscate(html);
+        const subtitles = new Map();
+        const add = (url, lang, label) => {
+            const absolute = this.absolutize(url, baseUrl);
+            if (absolute && !subtitles.has(absolute)) {
+                subtitles.set(absolute, { url: absolute, lang: lang || label || 'und', label: label || null });
+            }
+        };
+
+        const $ = cheerio.load(text);
+        $('track[src]').each((i, element) => {
+            const $el = $(element);
+            const kind = ($el.attr('kind') || 'subtitles').toLowerCase();
+            if (kind === 'subtitles' || kind === 'captions') {
+                add($el.attr('src'), $el.attr('srclang'), $el.attr('label'));
+            }
+        });
+
+        for (const [track, file] of text.matchAll(PLAYER_TRACK_PATTERN)) {
+            if (/\bkind\s*:\s*["'](?:thumbnails|chapters)["']/i.test(track)) continue;
+            const label = track.match(/\blabel\s*:\s*["']([^"']+)["']/i);
+            const lang = track.match(/\b(?:srclang|language|lang)\s*:\s*["']([^"']+)["']/i);
+            add(this.unescape(file), lang && lang[1], label && label[1]);
+        }
+
+        return [...subtitles.values()].filter(subtitle => SUBTITLE_FILE.test(subtitle.url));
+    }
+
+    /**
+     * Find the frames a page embeds, lazy-loaded ones included
+     * @param {string} html - Page
+     * @param {string} baseUrl - Page URL, for relative frame sources
+     * @returns {Array} Unique absolute frame URLs in page order
+     */
+    extractIframes(html, baseUrl) {
+        const text = this.deobfuscate(html);
+        const $ = cheerio.load(text);
+        const frames = [];
+
+        $('iframe, frame').each((i, element) => {
+            const $el = $(element);
+            const url = this.absolutize($el.attr('src') || $el.attr('data-src') || $el.attr('data-lazy-src'), baseUrl);
+            if (url) {
+                frames.push(url);
+            }
+        });
+
+        for (const [, src] of text.matchAll(SCRIPT_IFRAME_PATTERN)) {
+            const url = this.absolutize(this.unescape(src), baseUrl);
+            if (url) {
+                frames.push(url);
+            }
+        }
+
+        return [...new Set(frames)];
+    }
+
+    /**
+     * Decode obfuscated scripts in a page before anything is extracted from it
+     * @param {string} html - Page or script content
+     * @returns {string} Deobfuscated text
+     */
+    deobfuscate(html) {
+        const input = String(html || '');
+        if (input !== this.lastInput) {
+            this.lastInput = input;
+            this.lastOutput = deobfuscator.deobfuscate(input);
+        }
+        return this.lastOutput;
+    }
+
+    /**
+     * Whether a URL points straight at a media file or manifest
+     * @param {string} url - URL
+     * @returns {boolean}
+     */
+    isMediaUrl(url) {
+        try {
+            return MEDIA_FILE.test(new URL(url).pathname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Resolve a possibly relative URL against the page it appeared in
+     * @param {string} url - URL as found in the page
+     * @param {string} baseUrl - Page URL
+     * @returns {string} Absolute http(s) URL, or null
+     */
+    absolutize(url, baseUrl) {
+        if (!url) return null;
+
+        try {
+            const absolute = new URL(url.trim(), baseUrl);
+            return ['http:', 'https:'].includes(absolute.protocol) ? absolute.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Undo JavaScript string escaping of slashes, e.g. "https:\/\/cdn"
+     * @param {string} value - Escaped string
+     * @returns {string} Unescaped string
+     */
+    unescape(value) {
+        return value.replace(/\\\//g, '/');
+    }
+}
+
+// Shared extractor
+const mediaExtractor = new MediaExtractor();
+
+module.exports = {
+    MediaExtractor,
+    mediaExtractor
+};
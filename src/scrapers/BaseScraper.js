@@ -1,3 +1,17 @@
+const { idRegistry } = require('../utils/IdRegistry');
+const TaskRunner = require('../utils/TaskRunner');
+const { httpClient } = require('../utils/HttpClient');
+const { proxyPools } = require('../utils/ProxyPool');
+const { sessionStore } = require('../utils/SessionStore');
+const { challengeSolver } = require('../utils/ChallengeSolver');
+const { browserPool } = require('../utils/BrowserPool');
+const { embedResolvers } = require('../resolvers/EmbedResolverRegistry');
+const { mediaExtractor } = require('../resolvers/MediaExtractor');
+const config = require('../utils/Config');
+
+// How long to wait before trying a failed login again
+const LOGIN_RETRY_DELAY = 300000;
+
 /**
  * Base scraper class that all site-specific scrapers should extend
  */
@@ -6,7 +20,12 @@ class BaseScraper {
         this.name = name;
         this.baseUrl = baseUrl;
         this.enabled = true;
-        this.timeout = 30000; // 30 seconds timeout
+        this.timeout = config.get('http.timeout'); // per request, HTTP_TIMEOUT
+        // Per-host request limits for this site, see HostScheduler; SOURCE_LIMITS overrides them
+        this.requestLimits = {};
+        // Cookies every request should carry, e.g. consent or age-gate cookies
+        this.presetCookies = {};
+        this.loginPromise = null;
     }
     
     /**
@@ -43,9 +62,10 @@ class BaseScraper {
      * Get streaming links for content
      * @param {string} id - Content ID
      * @param {string} type - Content type
+     * @param {StreamRequest} request - Full stream request, including season/episode for series
      * @returns {Array} Array of stream objects
      */
-    async getStreams(id, type) {
+    async getStreams(id, type, request = null) {
         throw new Error(`getStreams method not implemented for ${this.name}`);
     }
     
@@ -59,6 +79,8 @@ class BaseScraper {
             id: data.id || `scraped:${this.name}:${data.title?.replace(/[^a-zA-Z0-9]/g, '')}`,
             type: data.type || 'movie',
             name: data.title || 'Unknown Title',
+            // Other names of the title, e.g. the Arabic title on Arabic sites
+            aliases: data.aliases || [],
             poster: data.poster || null,
             background: data.background || data.poster || null,
             year: data.year || null,
@@ -68,16 +90,40 @@ class BaseScraper {
             cast: data.cast || [],
             director: data.director || [],
             writer: data.writer || [],
+            genres: data.genres || [],
+            releaseInfo: data.year ? String(data.year) : null,
             runtime: data.runtime || null,
             country: data.country || null,
             language: data.language || null,
             // Additional metadata for series
             ...(data.type === 'series' && {
-                videos: data.episodes || []
+                videos: (data.episodes || []).map(episode => this.createVideo(episode))
             })
         };
     }
     
+    /**
+     * Create a standardized Stremio video object for a series episode
+     * @param {Object} data - Raw episode data
+     * @returns {Object} Standardized video object
+     */
+    createVideo(data) {
+        const season = parseInt(data.season) || 1;
+        const episode = parseInt(data.episode) || 1;
+        // Sites print dates Date cannot read ("غير معروف", "TBA"), those count as unknown
+        const released = data.released ? new Date(data.released) : null;
+        
+        return {
+            id: data.id,
+            title: data.title || `Episode ${episode}`,
+            season,
+            episode,
+            released: released && !isNaN(released.getTime()) ? released.toISOString() : null,
+            overview: data.overview || null,
+            thumbnail: data.thumbnail || null
+        };
+    }
+    
     /**
      * Create a standardized stream object
      * @param {Object} data - Raw stream data
@@ -91,47 +137,235 @@ class BaseScraper {
             qualityNote: data.qualityNote || null,
             language: data.language || null,
             subtitles: data.subtitles || [],
+            // Request headers the player must send, e.g. the Referer a CDN insists on
+            headers: data.headers || null,
             behaviorHints: {
-                notWebReady: data.notWebReady || false,
+                // Streams needing headers only play through Stremio's streaming server
+                notWebReady: data.notWebReady || Boolean(data.headers),
                 bingeGroup: data.bingeGroup || null
             },
             // Additional metadata
             source: this.name,
             server: data.server || null,
-            size: data.size || null
+            size: data.size || null,
+            // Player pages the stream was found through, embed first: [{ url, resolver }]
+            embedChain: data.embedChain || null
         };
     }
     
     /**
-     * Utility method to make HTTP requests with proper headers
+     * Utility method to make HTTP requests through the shared HTTP client
+     * Requests carry this scraper's session cookies and log in first when
+     * credentials are configured; anti-bot challenges are solved in a browser
+     * and the request repeated. Error statuses throw typed errors
+     * (NotFoundError, BlockedError, ...) unless options.throwHttpErrors is false
      * @param {string} url - URL to fetch
-     * @param {Object} options - Request options
-     * @returns {Object} Response object
+     * @param {Object} options - Request options, see HttpClient.request(), plus skipLogin
+     * @returns {Object} fetch-like response object
      */
     async makeRequest(url, options = {}) {
-        const fetch = require('node-fetch');
+        const { skipLogin, ...requestOptions } = options;
+        const session = this.getSession();
         
-        const defaultHeaders = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive',
-            'Upgrade-Insecure-Requests': '1'
-        };
+        try {
+            if (!skipLogin) {
+                await this.ensureLoggedIn();
+            }
+            
+            return await httpClient.request(url, {
+                timeout: this.timeout,
+                // Dropped from the host queues once the source's task timed out
+                signal: TaskRunner.currentSignal(),
+                limits: this.getRequestLimits(),
+                proxyPool: proxyPools.get(this.name),
+                session,
+                challengeSolver: challengeUrl => this.solveChallenge(challengeUrl),
+                ...requestOptions
+            });
+        } catch (error) {
+            // The site no longer accepts our login, log in again on the next request
+            if (error.status === 401 && session.isLoggedIn()) {
+                session.invalidate();
+            }
+            console.error(`[${this.name}] Request failed for ${url}:`, error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get this scraper's cookie session, with the preset cookies in place
+     * @returns {Session} Session shared by HTTP requests and browser pages
+     */
+    getSession() {
+        const session = sessionStore.get(this.name);
+        session.setDefaults(this.presetCookies, this.baseUrl);
+        return session;
+    }
+    
+    /**
+     * Obtain anti-bot clearance for a URL in a browser, stored in this scraper's session
+     * @param {string} url - URL that answered with a challenge
+     */
+    async solveChallenge(url) {
+        await challengeSolver.solve(url, {
+            key: this.name.toLowerCase(),
+            session: this.getSession(),
+            withPage: fn => this.withBrowserPage(url, fn)
+        });
+    }
+    
+    /**
+     * Log in if SCRAPER_LOGINS has credentials for this scraper and the session is not logged in
+     * Concurrent requests wait for the same login; a failed login is retried after LOGIN_RETRY_DELAY
+     */
+    async ensureLoggedIn() {
+        const credentials = (config.get('sessions.logins') || {})[this.name.toLowerCase()];
+        const session = this.getSession();
+        if (!credentials || session.isLoggedIn() ||
+            (session.loginFailedAt && session.loginFailedAt + LOGIN_RETRY_DELAY > Date.now())) {
+            return;
+        }
         
-        const requestOptions = {
-            timeout: this.timeout,
-            headers: { ...defaultHeaders, ...(options.headers || {}) },
-            ...options
-        };
+        if (!this.loginPromise) {
+            this.loginPromise = this.runLogin(credentials, session).finally(() => {
+                this.loginPromise = null;
+            });
+        }
+        await this.loginPromise;
+    }
+    
+    /**
+     * Run the login flow and record its outcome on the session
+     * @param {Object} credentials - { username, password }
+     * @param {Session} session - Session
+     */
+    async runLogin(credentials, session) {
+        try {
+            console.log(`[${this.name}] Logging in as ${credentials.username}`);
+            if (await this.login(credentials, session)) {
+                session.markLoggedIn();
+                console.log(`[${this.name}] Logged in`);
+                return;
+            }
+            console.warn(`[${this.name}] Login failed`);
+        } catch (error) {
+            console.error(`[${this.name}] Login error:`, error.message);
+        }
+        session.markLoginFailed();
+    }
+    
+    /**
+     * Log in to the site, overridden by scrapers that support accounts
+     * Requests made here must pass { skipLogin: true } to makeRequest
+     * @param {Object} credentials - { username, password } from SCRAPER_LOGINS
+     * @param {Session} session - Session receiving the login cookies
+     * @returns {boolean} Whether the login succeeded
+     */
+    async login(credentials, session) {
+        console.warn(`[${this.name}] No login flow, ignoring configured credentials`);
+        return false;
+    }
+    
+    /**
+     * Get the per-host request limits of this scraper, SOURCE_LIMITS overriding built-in ones
+     * @returns {Object} { maxConcurrent, minInterval, maxQueue }
+     */
+    getRequestLimits() {
+        const overrides = (config.get('http.sourceLimits') || {})[this.name.toLowerCase()];
+        return { ...this.requestLimits, ...(overrides || {}) };
+    }
+    
+    /**
+     * Whether this scraper may fall back to a headless browser
+     * @returns {boolean} False when PUPPETEER_ENABLED turned browsers off
+     */
+    canUseBrowser() {
+        return browserPool.enabled;
+    }
+    
+    /**
+     * Run a function with a pooled browser page set up for this scraper
+     * The page goes through one of this scraper's proxies and carries its user
+     * agent and session cookies; the cookies it collects are kept in the
+     * session and the page goes back to the pool however fn ends.
+     * @param {string} url - First URL the page will visit, picks the proxy
+     * @param {Function} fn - Async function receiving the Puppeteer page
+     * @returns {Promise} Result of fn
+     */
+    async withBrowserPage(url, fn) {
+        const proxyPool = proxyPools.get(this.name);
+        const proxy = proxyPool ? proxyPool.getBrowserOptions(proxyPool.acquire(url)) : null;
+        const session = this.getSession();
         
+        return browserPool.withPage({ owner: this.name.toLowerCase(), proxy }, async page => {
+            await page.setUserAgent(session.userAgent || config.get('scrapers.userAgent'));
+            await session.applyToPage(page);
+            
+            try {
+                return await fn(page);
+            } finally {
+                try {
+                    await session.captureFromPage(page);
+                } catch (error) {
+                    console.error(`[${this.name}] Failed to keep browser cookies:`, error.message);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Generate a short, stable content ID for a source URL
+     * @param {string} url - Source URL on this site
+     * @param {string} type - Content type (movie/series)
+     * @returns {string} ID in the form scraped:<scraper>:<token>
+     */
+    generateId(url, type = null) {
+        return idRegistry.register(url, { scraper: this.name, type, baseUrl: this.baseUrl });
+    }
+    
+    /**
+     * Resolve a content ID generated by this scraper back to its source URL
+     * @param {string} id - Content ID
+     * @returns {string} Source URL or null if the ID is unknown
+     */
+    getUrlFromId(id) {
+        const entry = idRegistry.resolve(id, { baseUrl: this.baseUrl });
+        if (!entry || entry.scraper !== this.name.toLowerCase()) {
+            return null;
+        }
+        return entry.url;
+    }
+    
+    /**
+     * Resolve an embedded player to streams through the shared embed resolvers
+     * Player pages are requested like any other page of this scraper, each
+     * with the page embedding it as Referer; nested players are followed.
+     * @param {string} embedUrl - Player URL
+     * @param {Object} options - { referer, server, quality, headers (for player requests), stream (extra createStream fields) }
+     * @returns {Array} Array of stream objects, empty if the player could not be resolved
+     */
+    async resolveEmbedStreams(embedUrl, options = {}) {
         try {
-            const response = await fetch(url, requestOptions);
-            return response;
+            const sources = await embedResolvers.resolve(embedUrl, {
+                referer: options.referer || this.baseUrl,
+                request: (url, requestOptions = {}) => this.makeRequest(url, {
+                    ...requestOptions,
+                    headers: { ...options.headers, ...requestOptions.headers }
+                })
+            });
+            
+            return sources.map(source => this.createStream({
+                ...options.stream,
+                url: source.url,
+                quality: this.extractQuality(options.quality || source.quality || source.url),
+                server: options.server || source.server,
+                headers: source.headers,
+                subtitles: source.subtitles,
+                embedChain: source.chain
+            }));
         } catch (error) {
-            console.error(`Request failed for ${url}:`, error.message);
-            throw error;
+            console.error(`[${this.name}] Error resolving embed ${embedUrl}:`, error.message);
+            return [];
         }
     }
     
@@ -141,28 +375,7 @@ class BaseScraper {
      * @returns {Array} Array of video URLs
      */
     extractVideoUrls(html) {
-        const urls = [];
-        
-        // Common video URL patterns
-        const patterns = [
-            // Direct video files
-            /https?:\/\/[^"'\s]+\.(?:mp4|mkv|avi|mov|wmv|flv|webm|m4v)/gi,
-            // HLS streams
-            /https?:\/\/[^"'\s]+\.m3u8[^"'\s]*/gi,
-            // DASH streams
-            /https?:\/\/[^"'\s]+\.mpd[^"'\s]*/gi,
-            // Common streaming patterns
-            /https?:\/\/[^"'\s]*(?:stream|video|play)[^"'\s]*\.(?:php|html|aspx?)[^"'\s]*/gi
-        ];
-        
-        for (const pattern of patterns) {
-            const matches = html.match(pattern);
-            if (matches) {
-                urls.push(...matches);
-            }
-        }
-        
-        return [...new Set(urls)]; // Remove duplicates
+        return mediaExtractor.extractVideoUrls(html);
     }
     
     /**
@@ -187,6 +400,39 @@ class BaseScraper {
         return url;
     }
     
+    /**
+     * Extract a release year from text
+     * Eastern Arabic digits are accepted too, e.g. "(٢٠١٩)"
+     * @param {string} text - Text to analyze
+     * @returns {number} Year or null
+     */
+    extractYear(text) {
+        if (!text) return null;
+        const match = this.normalizeDigits(text).match(/\b((?:19|20)\d{2})\b/);
+        return match ? parseInt(match[1]) : null;
+    }
+    
+    /**
+     * Extract a numeric rating from text
+     * @param {string} text - Text to analyze, e.g. "IMDb 7.5/10"
+     * @returns {number} Rating or null
+     */
+    extractRating(text) {
+        if (!text) return null;
+        // U+066B is the Arabic decimal separator
+        const match = this.normalizeDigits(text).replace(/\u066B/g, '.').match(/(\d+(?:[.,]\d+)?)/);
+        return match ? parseFloat(match[1].replace(',', '.')) : null;
+    }
+    
+    /**
+     * Replace Eastern Arabic and Persian digits with ASCII digits
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeDigits(text) {
+        return text.replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+    }
+    
     /**
      * Extract quality information from text
      * @param {string} text - Text to analyze
@@ -26,10 +26,6 @@ class CinemaOSScraper extends BaseScraper {
             const searchUrl = `${this.searchUrl}?q=${encodeURIComponent(query)}&type=${type}`;
             const response = await this.makeRequest(searchUrl);
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const html = await response.text();
             return this.parseSearchResults(html, type);
             
@@ -67,15 +63,16 @@ class CinemaOSScraper extends BaseScraper {
         
         if (data && data.results) {
             for (const item of data.results) {
+                const sourceUrl = `${this.baseUrl}/${item.type}/${item.slug || item.id}`;
                 results.push(this.createMeta({
-                    id: this.generateId(item.slug || item.id),
+                    id: this.generateId(sourceUrl, item.type),
                     type: item.type,
                     title: item.title,
                     year: item.year,
                     poster: item.poster_url,
                     rating: item.imdb_rating,
                     description: item.plot,
-                    sourceUrl: `${this.baseUrl}/${item.type}/${item.slug}`
+                    sourceUrl
                 }));
             }
         }
@@ -98,9 +95,10 @@ class CinemaOSScraper extends BaseScraper {
             const rating = this.extractRating($el.find('.rating, .imdb-score').text());
             
             if (title && link) {
+                const contentType = this.determineType(link, type);
                 results.push(this.createMeta({
-                    id: this.generateId(link),
-                    type: this.determineType(link, type),
+                    id: this.generateId(link, contentType),
+                    type: contentType,
                     title,
                     year,
                     poster,
@@ -122,7 +120,9 @@ class CinemaOSScraper extends BaseScraper {
             }
             
             const response = await this.makeRequest(apiUrl, {
-                headers: { 'Accept': 'application/json' }
+                headers: { 'Accept': 'application/json' },
+                // Error statuses fall back to HTML scraping below
+                throwHttpErrors: false
             });
             
             if (response.ok) {
@@ -177,7 +177,7 @@ class CinemaOSScraper extends BaseScraper {
             if (response.ok) {
                 const data = await response.json();
                 return this.createMeta({
-                    id: this.generateId(data.slug),
+                    id: this.generateId(`${this.baseUrl}/${type}/${data.slug}`, type),
                     type: data.type,
                     title: data.title,
                     year: data.year,
@@ -214,7 +214,7 @@ class CinemaOSScraper extends BaseScraper {
             // Method 1: Extract from embedded players
             const playerUrls = this.extractPlayerUrls(html);
             for (const playerUrl of playerUrls) {
-                const playerStreams = await this.extractFromPlayer(playerUrl);
+                const playerStreams = await this.resolveEmbedStreams(playerUrl);
                 streams.push(...playerStreams);
             }
             
@@ -303,28 +303,6 @@ class CinemaOSScraper extends BaseScraper {
         return [...new Set(playerUrls)];
     }
     
-    async extractFromPlayer(playerUrl) {
-        try {
-            const response = await this.makeRequest(playerUrl, {
-                headers: { 'Referer': this.baseUrl }
-            });
-            
-            const html = await response.text();
-            const videoUrls = this.extractVideoUrls(html);
-            
-            return videoUrls.map(url => this.createStream({
-                url,
-                quality: this.extractQuality(url),
-                server: this.extractServerName(playerUrl),
-                title: `${this.name} - ${this.extractServerName(playerUrl)}`
-            }));
-            
-        } catch (error) {
-            console.error(`[${this.name}] Player extraction error:`, error);
-            return [];
-        }
-    }
-    
     // Utility methods
     determineType(url, defaultType) {
         if (url.includes('/series/') || url.includes('/tv/') || url.includes('/show/')) {
@@ -335,28 +313,6 @@ class CinemaOSScraper extends BaseScraper {
         return defaultType;
     }
     
-    generateId(identifier) {
-        return `scraped:${this.name.toLowerCase()}:${Buffer.from(identifier.toString()).toString('base64').slice(0, 16)}`;
-    }
-    
-    getUrlFromId(id) {
-        try {
-            const base64Part = id.split(':')[2];
-            const identifier = Buffer.from(base64Part, 'base64').toString();
-            
-            // If it's already a URL, return it
-            if (identifier.startsWith('http')) {
-                return identifier;
-            }
-            
-            // Otherwise, construct URL from slug
-            return `${this.baseUrl}/movie/${identifier}`; // Default to movie, adjust as needed
-            
-        } catch (error) {
-            return null;
-        }
-    }
-    
     extractSlugFromUrl(url) {
         try {
             const urlObj = new URL(url);
@@ -367,14 +323,6 @@ class CinemaOSScraper extends BaseScraper {
         }
     }
     
-    extractServerName(url) {
-        try {
-            return new URL(url).hostname.replace('www.', '');
-        } catch (error) {
-            return 'Unknown Server';
-        }
-    }
-    
     parseMetaFromHTML(html, id, type) {
         const $ = cheerio.load(html);
         
@@ -0,0 +1,454 @@
+const BaseScraper = require('./BaseScraper');
+const cheerio = require('cheerio');
+
+/**
+ * Scraper driven entirely by a declarative site definition
+ * Adding a site or fixing a broken selector is a change to a JSON/YAML file
+ * in the sites directory, see SiteDefinitions for the format. Definitions
+ * are swapped in place on hot reload, so the instance and its scraped: IDs
+ * stay valid.
+ */
+class GenericSelectorScraper extends BaseScraper {
+    constructor(definition) {
+        super(definition.name, definition.baseUrl);
+        this.setDefinition(definition);
+    }
+
+    /**
+     * Replace the site definition, e.g. after the file changed on disk
+     * @param {Object} definition - Validated definition from SiteDefinitions
+     */
+    setDefinition(definition) {
+        this.definition = definition;
+        this.baseUrl = definition.baseUrl;
+        this.requestLimits = definition.limits;
+        this.presetCookies = definition.cookies;
+    }
+
+    /**
+     * Search for content on the site
+     * @param {string} query - Search query
+     * @param {string} type - Content type (movie/series)
+     * @returns {Array} Array of meta objects
+     */
+    async search(query, type) {
+        try {
+            console.log(`[${this.name}] Searching for: ${query} (${type})`);
+
+            const url = this.buildUrl(this.definition.urls.search, { query, type });
+            const results = await this.scrapeListing(url, type);
+
+            console.log(`[${this.name}] Found ${results.length} search results`);
+            return results;
+
+        } catch (error) {
+            console.error(`[${this.name}] Search error:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get popular content
+     * @param {string} type - Content type (movie/series)
+     * @param {string} genre - Optional genre filter
+     * @returns {Array} Array of meta objects
+     */
+    async getPopular(type, genre = null) {
+        try {
+            const { popular, genre: genreTemplate } = this.definition.urls;
+            const template = genre && genreTemplate
+                ? genreTemplate
+                : (typeof popular === 'string' ? popular : popular && popular[type]);
+
+            if (!template) {
+                return [];
+            }
+
+            return await this.scrapeListing(this.buildUrl(template, { type, genre: genre || '' }), type);
+
+        } catch (error) {
+            console.error(`[${this.name}] getPopular error:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get detailed metadata for specific content
+     * @param {string} id - Content ID
+     * @param {string} type - Content type
+     * @returns {Object} Meta object with detailed info
+     */
+    async getMeta(id, type) {
+        try {
+            const url = this.getUrlFromId(id);
+            if (!url) {
+                console.error(`[${this.name}] Could not extract URL from ID: ${id}`);
+                return null;
+            }
+
+            const $ = await this.fetchPage(url);
+            const fields = this.definition.detail ? this.definition.detail.fields : {};
+            const $root = $.root();
+            const read = (field) => this.extractField($, $root, fields[field]);
+            const readUrl = (field) => this.extractUrl($, $root, fields[field], url);
+
+            const title = read('title');
+            const contentType = this.detectType(url, $, $root, title, type);
+            const genres = fields.genres ? this.extractValues($, $root, fields.genres) : [];
+
+            return this.createMeta({
+                id,
+                type: contentType,
+                title,
+                year: this.extractYear(read('year')),
+                poster: readUrl('poster'),
+                background: readUrl('background'),
+                rating: this.extractRating(read('rating')),
+                description: read('description'),
+                genres,
+                runtime: read('runtime'),
+                language: this.definition.language,
+                episodes: contentType === 'series' ? this.extractEpisodes($, url) : []
+            });
+
+        } catch (error) {
+            console.error(`[${this.name}] getMeta error:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get streaming links for content
+     * Direct media URLs found in the page and in matching embeds are returned
+     * @param {string} id - Content ID
+     * @param {string} type - Content type
+     * @returns {Array} Array of stream objects
+     */
+    async getStreams(id, type) {
+        try {
+            const url = this.getUrlFromId(id);
+            if (!url) {
+                console.error(`[${this.name}] Could not extract URL from ID: ${id}`);
+                return [];
+            }
+
+            const embeds = this.definition.embeds;
+            const html = await this.fetchHtml(url);
+            const $ = cheerio.load(html);
+            const streams = [];
+
+            if (!embeds || embeds.direct) {
+                for (const videoUrl of this.extractVideoUrls(html)) {
+                    streams.push(this.createStream({
+                        url: videoUrl,
+                        quality: this.extractQuality(videoUrl),
+                        language: this.definition.language,
+                        server: 'Direct'
+                    }));
+                }
+            }
+
+            if (embeds) {
+                for (const embed of this.extractEmbeds($, url)) {
+                    streams.push(...await this.resolveEmbed(embed, url));
+                }
+            }
+
+            console.log(`[${this.name}] Found ${streams.length} streams`);
+            return streams;
+
+        } catch (error) {
+            console.error(`[${this.name}] getStreams error:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Scrape a listing page (search results, popular) into metas
+     * @param {string} url - Listing page URL
+     * @param {string} type - Requested content type, also the default type
+     * @returns {Array} Array of meta objects
+     */
+    async scrapeListing(url, type) {
+        const $ = await this.fetchPage(url);
+        const { item, fields } = this.definition.listing;
+        const results = [];
+
+        $(item).each((i, element) => {
+            const $el = $(element);
+            const read = (field) => this.extractField($, $el, fields[field]);
+
+            const title = read('title');
+            const link = this.extractUrl($, $el, fields.url, url);
+            if (!title || !link) return;
+
+            const contentType = this.detectType(link, $, $el, title, type);
+            results.push(this.createMeta({
+                id: this.generateId(link, contentType),
+                type: contentType,
+                title,
+                year: this.extractYear(read('year')),
+                poster: this.extractUrl($, $el, fields.poster, url),
+                description: read('description'),
+                language: this.definition.language
+            }));
+        });
+
+        return results;
+    }
+
+    /**
+     * Extract series episodes from a detail page
+     * @param {Function} $ - Cheerio root
+     * @param {string} pageUrl - Detail page URL
+     * @returns {Array} Raw episode objects for createMeta()
+     */
+    extractEpisodes($, pageUrl) {
+        const section = this.definition.episodes;
+        if (!section) return [];
+
+        const episodes = [];
+        $(section.item).each((i, element) => {
+            const $el = $(element);
+            const read = (field) => this.extractField($, $el, section.fields[field]);
+
+            const link = this.extractUrl($, $el, section.fields.url, pageUrl);
+            if (!link) return;
+
+            episodes.push({
+                id: this.generateId(link, 'series'),
+                title: read('title'),
+                season: parseInt(read('season')) || 1,
+                episode: parseInt(read('episode')) || i + 1,
+                overview: read('overview'),
+                thumbnail: this.extractUrl($, $el, section.fields.thumbnail, pageUrl)
+            });
+        });
+
+        return episodes;
+    }
+
+    /**
+     * Extract embed players allowed by the embed rules
+     * @param {Function} $ - Cheerio root
+     * @param {string} pageUrl - Page URL
+     * @returns {Array} [{ url, server, quality }]
+     */
+    extractEmbeds($, pageUrl) {
+        const { item, fields, allow, deny } = this.definition.embeds;
+        const embeds = new Map();
+
+        $(item).each((i, element) => {
+            const $el = $(element);
+            const url = this.extractUrl($, $el, fields.url, pageUrl);
+            if (!url || embeds.has(url)) return;
+
+            let hostname;
+            try {
+                hostname = new URL(url).hostname;
+            } catch (error) {
+                return;
+            }
+
+            if (allow.length > 0 && !allow.some(pattern => pattern.test(hostname))) return;
+            if (deny.some(pattern => pattern.test(hostname))) return;
+
+            embeds.set(url, {
+                url,
+                server: this.extractField($, $el, fields.server) || hostname,
+                quality: this.extractField($, $el, fields.quality)
+            });
+        });
+
+        return [...embeds.values()];
+    }
+
+    /**
+     * Resolve an embed player to direct stream URLs
+     * @param {Object} embed - { url, server, quality }
+     * @param {string} referer - Page that embeds the player
+     * @returns {Array} Array of stream objects
+     */
+    async resolveEmbed(embed, referer) {
+        return this.resolveEmbedStreams(embed.url, {
+            referer,
+            server: embed.server,
+            quality: embed.quality,
+            headers: this.definition.headers,
+            stream: { language: this.definition.language }
+        });
+    }
+
+    /**
+     * Detect the content type of an item using the type rules
+     * @param {string} url - Item URL
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $context - Item element or page root
+     * @param {string} title - Item title
+     * @param {string} fallback - Type to use when no rule matches
+     * @returns {string} movie or series
+     */
+    detectType(url, $, $context, title, fallback) {
+        const { rules, default: defaultType } = this.definition.types;
+
+        const rule = rules.find(candidate =>
+            (candidate.url && url && candidate.url.test(url)) ||
+            (candidate.selector && $context.find(candidate.selector).length > 0) ||
+            (candidate.text && title && candidate.text.test(title))
+        );
+
+        return rule ? rule.type : (defaultType || fallback || 'movie');
+    }
+
+    /**
+     * Read one field spec from an element
+     * Selectors and attributes are tried in order, the first non-empty value wins
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $context - Element to search in
+     * @param {Object} spec - Normalized field spec, see SiteDefinitions
+     * @returns {string} Value or null
+     */
+    extractField($, $context, spec) {
+        if (!spec) return null;
+        return this.extractValues($, $context, spec)[0] || null;
+    }
+
+    /**
+     * Read a link or image field and make it absolute
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $context - Element to search in
+     * @param {Object} spec - Normalized field spec
+     * @param {string} pageUrl - Page URL relative links are resolved against
+     * @returns {string} Absolute URL or null
+     */
+    extractUrl($, $context, spec, pageUrl) {
+        const value = this.extractField($, $context, spec);
+        if (!value) return null;
+
+        try {
+            return new URL(value, pageUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read all values of a field spec, or only the first for single-valued specs
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $context - Element to search in
+     * @param {Object} spec - Normalized field spec
+     * @returns {Array} Values
+     */
+    extractValues($, $context, spec) {
+        const candidates = spec.selectors.length > 0
+            ? spec.selectors.map(selector => $context.find(selector))
+            : [$context];
+        const values = [];
+
+        for (const $matches of candidates) {
+            const elements = spec.multiple ? $matches.toArray() : $matches.toArray().slice(0, 1);
+
+            for (const element of elements) {
+                const value = this.readElement($(element), spec);
+                if (value) values.push(value);
+            }
+
+            if (values.length > 0) break;
+        }
+
+        return values;
+    }
+
+    /**
+     * Read a value from one element using the spec's attribute fallbacks
+     * @param {Object} $el - Cheerio element
+     * @param {Object} spec - Normalized field spec
+     * @returns {string} Value or null
+     */
+    readElement($el, spec) {
+        for (const attr of spec.attrs) {
+            let value = attr === 'text' ? $el.text() : attr === 'html' ? $el.html() : $el.attr(attr);
+            value = value ? value.replace(/\s+/g, ' ').trim() : null;
+
+            if (value && spec.pattern) {
+                const match = value.match(spec.pattern);
+                value = match ? (match[1] !== undefined ? match[1] : match[0]).trim() : null;
+            }
+
+            if (value) return value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill a URL template and make it absolute
+     * @param {string} template - Template with {query}, {type} or {genre}, relative to baseUrl
+     * @param {Object} values - Placeholder values
+     * @returns {string} Absolute URL
+     */
+    buildUrl(template, values) {
+        const path = template.replace(/\{(\w+)\}/g, (match, name) =>
+            values[name] !== undefined ? encodeURIComponent(values[name]) : match
+        );
+        return new URL(path, `${this.baseUrl}/`).href;
+    }
+
+    /**
+     * Log in by posting the definition's login form
+     * @param {Object} credentials - { username, password }
+     * @param {Session} session - Session receiving the login cookies
+     * @returns {boolean} Whether the login cookie was set
+     */
+    async login(credentials, session) {
+        const login = this.definition.login;
+        if (!login) {
+            return super.login(credentials, session);
+        }
+
+        const form = new URLSearchParams({
+            ...login.extra,
+            [login.fields.username]: credentials.username,
+            [login.fields.password]: credentials.password
+        });
+
+        await this.makeRequest(this.buildUrl(login.url, {}), {
+            method: 'POST',
+            body: form.toString(),
+            headers: {
+                ...this.definition.headers,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Referer': `${this.baseUrl}/`
+            },
+            skipLogin: true,
+            // A rejected password does not get better by retrying
+            retryAttempts: 1
+        });
+
+        return session.hasCookie(this.baseUrl, login.cookie);
+    }
+
+    /**
+     * Fetch a page with the definition's headers
+     * @param {string} url - Page URL
+     * @param {Object} headers - Extra headers
+     * @returns {string} HTML
+     */
+    async fetchHtml(url, headers = {}) {
+        const response = await this.makeRequest(url, {
+            headers: { ...this.definition.headers, ...headers }
+        });
+        return response.text();
+    }
+
+    /**
+     * Fetch and parse a page
+     * @param {string} url - Page URL
+     * @returns {Function} Cheerio root
+     */
+    async fetchPage(url) {
+        return cheerio.load(await this.fetchHtml(url));
+    }
+}
+
+module.exports = GenericSelectorScraper;
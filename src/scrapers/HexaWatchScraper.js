@@ -59,14 +59,10 @@ class HexaWatchScraper extends BaseScraper {
         const searchUrl = `${this.searchUrl}?q=${encodeURIComponent(query)}`;
         const response = await this.makeRequest(searchUrl);
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
         const html = await response.text();
         
         // Check if page requires JavaScript rendering
-        if (this.requiresJavaScript(html)) {
+        if (this.canUseBrowser() && this.requiresJavaScript(html)) {
             console.log(`[${this.name}] Page requires JavaScript, using Puppeteer`);
             return await this.searchWithPuppeteer(searchUrl, type);
         }
@@ -76,24 +72,15 @@ class HexaWatchScraper extends BaseScraper {
     
     async searchWithPuppeteer(url, type) {
         try {
-            const puppeteer = require('puppeteer');
-            
-            const browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            const html = await this.withBrowserPage(url, async page => {
+                await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+                
+                // Wait for content to load
+                await page.waitForSelector('.search-results, .movie-item, .content-item', { timeout: 10000 });
+                
+                return page.content();
             });
             
-            const page = await browser.newPage();
-            await page.setUserAgent(this.userAgent);
-            
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-            
-            // Wait for content to load
-            await page.waitForSelector('.search-results, .movie-item, .content-item', { timeout: 10000 });
-            
-            const html = await page.content();
-            await browser.close();
-            
             return this.parseHTMLResults(html, type);
             
         } catch (error) {
@@ -109,7 +96,7 @@ class HexaWatchScraper extends BaseScraper {
         if (data && data.results) {
             for (const item of data.results) {
                 results.push(this.createMeta({
-                    id: this.generateId(item.url || item.id),
+                    id: this.generateId(item.url || item.id, item.type || type),
                     type: item.type || type,
                     title: item.title || item.name,
                     year: item.year || item.release_date?.substring(0, 4),
@@ -139,9 +126,10 @@ class HexaWatchScraper extends BaseScraper {
             const rating = this.extractRating($el.find('.rating, .score').text());
             
             if (title && link) {
+                const contentType = this.determineType(link, type);
                 results.push(this.createMeta({
-                    id: this.generateId(link),
-                    type: this.determineType(link, type),
+                    id: this.generateId(link, contentType),
+                    type: contentType,
                     title,
                     year,
                     poster,
@@ -159,7 +147,9 @@ class HexaWatchScraper extends BaseScraper {
             // Try API endpoint first
             const apiUrl = `${this.apiUrl}/popular?type=${type}${genre ? `&genre=${genre}` : ''}`;
             const response = await this.makeRequest(apiUrl, {
-                headers: { 'Accept': 'application/json' }
+                headers: { 'Accept': 'application/json' },
+                // Error statuses fall back to HTML scraping below
+                throwHttpErrors: false
             });
             
             if (response.ok) {
@@ -188,7 +178,7 @@ class HexaWatchScraper extends BaseScraper {
             const response = await this.makeRequest(url);
             const html = await response.text();
             
-            if (this.requiresJavaScript(html)) {
+            if (this.canUseBrowser() && this.requiresJavaScript(html)) {
                 return await this.getMetaWithPuppeteer(url, type);
             }
             
@@ -216,12 +206,12 @@ class HexaWatchScraper extends BaseScraper {
             // Extract and resolve embed URLs
             const embedUrls = this.extractEmbedUrls(html);
             for (const embedUrl of embedUrls) {
-                const embedStreams = await this.resolveEmbedUrl(embedUrl);
+                const embedStreams = await this.resolveEmbedStreams(embedUrl);
                 streams.push(...embedStreams);
             }
             
             // Use Puppeteer if no streams found
-            if (streams.length === 0 && this.requiresJavaScript(html)) {
+            if (streams.length === 0 && this.canUseBrowser() && this.requiresJavaScript(html)) {
                 streams = await this.getStreamsWithPuppeteer(url);
             }
             
@@ -233,12 +223,25 @@ class HexaWatchScraper extends BaseScraper {
         }
     }
     
+    // Client-side rendered pages: none of the content we parse, and an empty app
+    // mount point or little more than a <noscript> notice. Anti-bot challenges
+    // never get here, the HTTP client solves those.
     requiresJavaScript(html) {
-        // Check for indicators that page requires JavaScript
-        return html.includes('Please enable JavaScript') ||
-               html.includes('document.addEventListener') ||
-               html.includes('window.onload') ||
-               html.length < 1000; // Very short HTML might indicate JS rendering
+        const $ = cheerio.load(html);
+        
+        if ($('.search-result, .movie-card, .content-item, .movie-item, iframe, video').length > 0) {
+            return false;
+        }
+        
+        const emptyAppRoot = $('#root, #app, #__next, #__nuxt, [data-reactroot]')
+            .toArray()
+            .some(element => $(element).children().length === 0);
+        const noscriptNotice = /enable javascript/i.test($('noscript').text());
+        
+        $('script, style, noscript, template').remove();
+        const visibleText = $('body').text().replace(/\s+/g, ' ').trim();
+        
+        return emptyAppRoot || (noscriptNotice && visibleText.length < 500) || visibleText.length < 50;
     }
     
     extractDirectStreams(html) {
@@ -257,28 +260,6 @@ class HexaWatchScraper extends BaseScraper {
         return streams;
     }
     
-    async resolveEmbedUrl(embedUrl) {
-        try {
-            const response = await this.makeRequest(embedUrl, {
-                headers: { 'Referer': this.baseUrl }
-            });
-            
-            const html = await response.text();
-            const videoUrls = this.extractVideoUrls(html);
-            
-            return videoUrls.map(url => this.createStream({
-                url,
-                quality: this.extractQuality(url),
-                server: this.extractServerName(embedUrl),
-                title: `${this.name} - ${this.extractServerName(embedUrl)}`
-            }));
-            
-        } catch (error) {
-            console.error(`[${this.name}] Error resolving embed:`, error);
-            return [];
-        }
-    }
-    
     // Utility methods
     determineType(url, defaultType) {
         if (url.includes('/series/') || url.includes('/tv/') || url.includes('/show/')) {
@@ -288,27 +269,6 @@ class HexaWatchScraper extends BaseScraper {
         }
         return defaultType;
     }
-    
-    generateId(url) {
-        return `scraped:${this.name.toLowerCase()}:${Buffer.from(url).toString('base64').slice(0, 16)}`;
-    }
-    
-    getUrlFromId(id) {
-        try {
-            const base64Part = id.split(':')[2];
-            return Buffer.from(base64Part, 'base64').toString();
-        } catch (error) {
-            return null;
-        }
-    }
-    
-    extractServerName(url) {
-        try {
-            return new URL(url).hostname.replace('www.', '');
-        } catch (error) {
-            return 'Unknown Server';
-        }
-    }
 }
 
 module.exports = HexaWatchScraper;
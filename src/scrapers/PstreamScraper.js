@@ -12,6 +12,8 @@ class PstreamScraper extends BaseScraper {
         this.searchUrl = 'https://pstream.org/search';
         this.movieUrl = 'https://pstream.org/movies';
         this.seriesUrl = 'https://pstream.org/series';
+        // Pstream bans clients that burst during peak hours
+        this.requestLimits = { maxConcurrent: 2, minInterval: 500 };
     }
     
     /**
@@ -28,10 +30,6 @@ class PstreamScraper extends BaseScraper {
             const searchUrl = `${this.searchUrl}?q=${encodeURIComponent(query)}`;
             
             const response = await this.makeRequest(searchUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const html = await response.text();
             const $ = cheerio.load(html);
             const results = [];
@@ -59,7 +57,7 @@ class PstreamScraper extends BaseScraper {
                     
                     if (title && link) {
                         const meta = this.createMeta({
-                            id: this.generateId(link),
+                            id: this.generateId(link, contentType),
                             type: contentType,
                             title,
                             year,
@@ -101,10 +99,6 @@ class PstreamScraper extends BaseScraper {
             }
             
             const response = await this.makeRequest(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const html = await response.text();
             const $ = cheerio.load(html);
             const results = [];
@@ -122,7 +116,7 @@ class PstreamScraper extends BaseScraper {
                     
                     if (title && link) {
                         const meta = this.createMeta({
-                            id: this.generateId(link),
+                            id: this.generateId(link, type),
                             type,
                             title,
                             year,
@@ -164,10 +158,6 @@ class PstreamScraper extends BaseScraper {
             console.log(`[${this.name}] Getting metadata for: ${url}`);
             
             const response = await this.makeRequest(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const html = await response.text();
             const $ = cheerio.load(html);
             
@@ -232,10 +222,6 @@ class PstreamScraper extends BaseScraper {
             console.log(`[${this.name}] Getting streams for: ${url}`);
             
             const response = await this.makeRequest(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
             const html = await response.text();
             const streams = [];
             
@@ -254,7 +240,7 @@ class PstreamScraper extends BaseScraper {
             const embedUrls = this.extractEmbedUrls(html);
             for (const embedUrl of embedUrls) {
                 try {
-                    const resolvedStreams = await this.resolveEmbedUrl(embedUrl);
+                    const resolvedStreams = await this.resolveEmbedStreams(embedUrl);
                     streams.push(...resolvedStreams);
                 } catch (error) {
                     console.error(`[${this.name}] Error resolving embed:`, error);
@@ -262,7 +248,7 @@ class PstreamScraper extends BaseScraper {
             }
             
             // Method 3: Use Puppeteer for JavaScript-heavy sites (if needed)
-            if (streams.length === 0) {
+            if (streams.length === 0 && this.canUseBrowser()) {
                 console.log(`[${this.name}] No streams found with basic scraping, trying Puppeteer...`);
                 const puppeteerStreams = await this.getStreamsWithPuppeteer(url);
                 streams.push(...puppeteerStreams);
@@ -308,47 +294,6 @@ class PstreamScraper extends BaseScraper {
         return [...new Set(embedUrls)];
     }
     
-    /**
-     * Resolve embed URL to actual stream URLs
-     * @param {string} embedUrl - Embed URL to resolve
-     * @returns {Array} Array of stream objects
-     */
-    async resolveEmbedUrl(embedUrl) {
-        try {
-            console.log(`[${this.name}] Resolving embed: ${embedUrl}`);
-            
-            const response = await this.makeRequest(embedUrl, {
-                headers: {
-                    'Referer': this.baseUrl
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const html = await response.text();
-            const streams = [];
-            
-            // Extract video URLs from embed page
-            const videoUrls = this.extractVideoUrls(html);
-            for (const videoUrl of videoUrls) {
-                streams.push(this.createStream({
-                    url: videoUrl,
-                    quality: this.extractQuality(videoUrl),
-                    server: this.extractServerName(embedUrl),
-                    title: `${this.name} - ${this.extractServerName(embedUrl)}`
-                }));
-            }
-            
-            return streams;
-            
-        } catch (error) {
-            console.error(`[${this.name}] Error resolving embed URL:`, error);
-            return [];
-        }
-    }
-    
     /**
      * Use Puppeteer for JavaScript-heavy sites
      * @param {string} url - Page URL
@@ -356,68 +301,58 @@ class PstreamScraper extends BaseScraper {
      */
     async getStreamsWithPuppeteer(url) {
         try {
-            const puppeteer = require('puppeteer');
-            
             console.log(`[${this.name}] Using Puppeteer for: ${url}`);
             
-            const browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            
-            const page = await browser.newPage();
-            
-            // Set user agent and viewport
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-            await page.setViewport({ width: 1920, height: 1080 });
-            
-            // Intercept network requests to capture video URLs
             const videoUrls = [];
-            await page.setRequestInterception(true);
-            
-            page.on('request', (request) => {
-                const url = request.url();
-                if (url.match(/\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v|m3u8|mpd)(\?|$)/i)) {
-                    videoUrls.push(url);
-                }
-                request.continue();
-            });
-            
-            // Navigate to page and wait for content
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-            
-            // Click play buttons or video elements to trigger loading
-            try {
-                await page.click('.play-button, .video-player, video', { timeout: 5000 });
-                await page.waitForTimeout(3000);
-            } catch (error) {
-                // Ignore click errors
-            }
-            
-            // Extract video URLs from page content
-            const pageVideoUrls = await page.evaluate(() => {
-                const urls = [];
+            await this.withBrowserPage(url, async page => {
+                // Set viewport
+                await page.setViewport({ width: 1920, height: 1080 });
+                
+                // Intercept network requests to capture video URLs
+                await page.setRequestInterception(true);
                 
-                // Check video elements
-                document.querySelectorAll('video, source').forEach(el => {
-                    if (el.src) urls.push(el.src);
-                    if (el.getAttribute('data-src')) urls.push(el.getAttribute('data-src'));
+                page.on('request', (request) => {
+                    const url = request.url();
+                    if (url.match(/\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v|m3u8|mpd)(\?|$)/i)) {
+                        videoUrls.push(url);
+                    }
+                    request.continue();
                 });
                 
-                // Check for URLs in scripts
-                document.querySelectorAll('script').forEach(script => {
-                    const content = script.textContent || script.innerText;
-                    const matches = content.match(/https?:\/\/[^"'\\s]+\\.(?:mp4|m3u8|mpd)/gi);
-                    if (matches) urls.push(...matches);
+                // Navigate to page and wait for content
+                await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+                
+                // Click play buttons or video elements to trigger loading
+                try {
+                    await page.click('.play-button, .video-player, video', { timeout: 5000 });
+                    await new Promise(resolve => setTimeout(resolve, 3000));
+                } catch (error) {
+                    // Ignore click errors
+                }
+                
+                // Extract video URLs from page content
+                const pageVideoUrls = await page.evaluate(() => {
+                    const urls = [];
+                    
+                    // Check video elements
+                    document.querySelectorAll('video, source').forEach(el => {
+                        if (el.src) urls.push(el.src);
+                        if (el.getAttribute('data-src')) urls.push(el.getAttribute('data-src'));
+                    });
+                    
+                    // Check for URLs in scripts
+                    document.querySelectorAll('script').forEach(script => {
+                        const content = script.textContent || script.innerText;
+                        const matches = content.match(/https?:\/\/[^"'\\s]+\\.(?:mp4|m3u8|mpd)/gi);
+                        if (matches) urls.push(...matches);
+                    });
+                    
+                    return urls;
                 });
                 
-                return urls;
+                videoUrls.push(...pageVideoUrls);
             });
             
-            videoUrls.push(...pageVideoUrls);
-            
-            await browser.close();
-            
             // Create stream objects
             const streams = [];
             for (const videoUrl of [...new Set(videoUrls)]) {
@@ -440,31 +375,6 @@ class PstreamScraper extends BaseScraper {
     
     // Utility methods
     
-    generateId(url) {
-        return `scraped:${this.name.toLowerCase()}:${Buffer.from(url).toString('base64').slice(0, 16)}`;
-    }
-    
-    getUrlFromId(id) {
-        try {
-            const base64Part = id.split(':')[2];
-            return Buffer.from(base64Part, 'base64').toString();
-        } catch (error) {
-            return null;
-        }
-    }
-    
-    extractYear(text) {
-        if (!text) return null;
-        const match = text.match(/(\d{4})/);
-        return match ? parseInt(match[1]) : null;
-    }
-    
-    extractRating(text) {
-        if (!text) return null;
-        const match = text.match(/(\d+\.?\d*)/);
-        return match ? parseFloat(match[1]) : null;
-    }
-    
     extractRuntime(text) {
         if (!text) return null;
         const match = text.match(/(\d+)\s*(?:min|minutes?)/i);
@@ -486,14 +396,6 @@ class PstreamScraper extends BaseScraper {
         return text.split(/[,|]/).map(d => d.trim()).filter(d => d.length > 0);
     }
     
-    extractServerName(url) {
-        try {
-            return new URL(url).hostname.replace('www.', '');
-        } catch (error) {
-            return 'Unknown Server';
-        }
-    }
-    
     extractEpisodes($, baseUrl) {
         const episodes = [];
         
@@ -506,7 +408,7 @@ class PstreamScraper extends BaseScraper {
             
             if (title && link) {
                 episodes.push({
-                    id: this.generateId(link),
+                    id: this.generateId(link, 'series'),
                     title,
                     season: season ? parseInt(season) : 1,
                     episode: number ? parseInt(number) : i + 1,
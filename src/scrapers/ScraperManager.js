@@ -1,85 +1,247 @@
-const PstreamScraper = require('./PstreamScraper');
-// Import other scrapers as they are implemented
-// const WecinaScraper = require('./WecinaScraper');
-// const HexaWatchScraper = require('./HexaWatchScraper');
-// ... etc
+const ScraperRegistry = require('./ScraperRegistry');
+const MetadataResolver = require('../metadata/MetadataResolver');
+const TaskRunner = require('../utils/TaskRunner');
+const SingleFlight = require('../utils/SingleFlight');
+const TitleMatcher = require('../utils/TitleMatcher');
+const { titleNormalizer } = require('../utils/TitleNormalizer');
+
+// Stremio requests catalog pages in blocks of this size via the `skip` extra
+const CATALOG_PAGE_SIZE = 100;
+
+// Genre options advertised for the `genre` catalog extra
+const CATALOG_GENRES = [
+    'Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary',
+    'Drama', 'Family', 'Fantasy', 'History', 'Horror', 'Mystery',
+    'Romance', 'Sci-Fi', 'Thriller', 'War'
+];
 
 /**
  * Manages all scrapers and provides unified interface
  */
 class ScraperManager {
-    constructor() {
-        this.scrapers = [];
+    constructor(options = {}) {
+        this.metadataResolver = options.metadataResolver || new MetadataResolver();
+        this.taskRunner = options.taskRunner || new TaskRunner();
+        this.singleFlight = new SingleFlight('ScraperManager');
+        this.titleMatcher = options.titleMatcher || new TitleMatcher();
+        this.registry = options.registry || new ScraperRegistry();
         this.initializeScrapers();
     }
 
     /**
-     * Initialize all available scrapers
+     * All registered scrapers, read from the registry so hot-reloaded sites show up
+     * @returns {Array} Scraper instances
+     */
+    get scrapers() {
+        return this.registry.getAll();
+    }
+
+    /**
+     * Discover all available scrapers, SCRAPERS_ENABLED and site definitions decide which are enabled
      */
     initializeScrapers() {
-        // Add Pstream scraper
-        this.scrapers.push(new PstreamScraper());
-
-        // TODO: Add other scrapers as they are implemented
-        // this.scrapers.push(new WecinaScraper());
-        // this.scrapers.push(new HexaWatchScraper());
-        // this.scrapers.push(new CinemaOSScraper());
-        // this.scrapers.push(new VidoraScraper());
-        // this.scrapers.push(new NunflixScraper());
-        // this.scrapers.push(new UiraScraper());
-        // this.scrapers.push(new BingeflixScraper());
-        // this.scrapers.push(new PaheScraper());
+        this.registry.discover();
 
         console.log(`ScraperManager initialized with ${this.scrapers.length} scrapers`);
         this.scrapers.forEach(scraper => {
             console.log(`- ${scraper.name}: ${scraper.enabled ? 'enabled' : 'disabled'}`);
         });
+        this.registry.getFailures().forEach(failure => {
+            console.log(`- ${failure.file}: failed to load (${failure.error})`);
+        });
     }
 
     /**
-     * Get streams for a specific content ID (simple implementation)
+     * Get streams for a stream request
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {Array} Array of stream objects
      */
-    async getStreams(id) {
+    async getStreams(request) {
+        const { streams } = await this.collectStreams(request);
+        return streams;
+    }
+
+    /**
+     * Get streams from all relevant scrapers concurrently
+     * Every scraper runs under its own timeout and the request deadline, so the
+     * result holds whatever finished in time plus a report of the stragglers
+     * Concurrent identical requests share a single lookup
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {Object} { streams, report: { completed, failed, timedOut, durationMs } }
+     */
+    async collectStreams(request) {
+        return this.singleFlight.do(request.toString(), () => this.fetchStreams(request));
+    }
+
+    /**
+     * Run the actual scraper lookups for collectStreams()
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {Object} { streams, report }
+     */
+    async fetchStreams(request) {
+        const emptyReport = { completed: [], failed: [], timedOut: [], durationMs: 0 };
+
         try {
-            const streams = [];
-            for (const scraper of this.scrapers) {
-                const result = await scraper.getStreams(id);
-                if (result && result.length > 0) {
-                    streams.push(...result.map(stream => ({
-                        name: stream.name || 'Ultimate Stream',
-                        title: stream.quality || 'Unknown Quality',
-                        url: stream.url,
-                        behaviorHints: {
-                            notWebReady: false
-                        }
-                    })));
+            // Items from our own catalogs belong to exactly one scraper
+            const scrapers = request.isScraped()
+                ? [this.getScraperFromId(request.id)].filter(Boolean)
+                : this.getEnabledScrapers(request.userConfig);
+
+            // Scrapers know nothing about IMDb IDs, so look the title up on each site first
+            const metadata = request.imdbId
+                ? await this.metadataResolver.resolve(request.imdbId, request.type)
+                : null;
+            if (request.imdbId && !metadata) {
+                return { streams: [], report: emptyReport };
+            }
+
+            const tasks = scrapers.map(scraper => ({
+                name: scraper.name,
+                run: async () => {
+                    const match = metadata
+                        ? await this.findContentId(scraper, metadata, request)
+                        : { id: request.id, score: 1, confident: true };
+                    if (!match) {
+                        return [];
+                    }
+
+                    const result = await scraper.getStreams(match.id, request.type, request);
+                    return (result || []).map(stream => ({
+                        ...stream,
+                        source: scraper.name,
+                        matchScore: match.score,
+                        uncertainMatch: !match.confident
+                    }));
                 }
+            }));
+
+            const { results, report } = await this.taskRunner.run(tasks, { deadline: request.deadline });
+            if (report.timedOut.length > 0) {
+                console.log(`ScraperManager: Timed out waiting for ${report.timedOut.join(', ')}`);
             }
-            return streams;
+
+            return {
+                streams: results.flatMap(result => result.value),
+                report
+            };
         } catch (error) {
             console.error('ScraperManager getStreams error:', error);
-            return [];
+            return { streams: [], report: emptyReport };
         }
     }
 
+    /**
+     * Find the scraper's own content ID for resolved IMDb metadata
+     * Picks the best search result with the TitleMatcher, and for series walks
+     * the scraper's meta to the requested episode
+     * @param {BaseScraper} scraper - Scraper to search
+     * @param {Object} metadata - Metadata from the MetadataResolver
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {Object} { id, score, confident } with a scraped content or episode ID, or null if not found
+     */
+    async findContentId(scraper, metadata, request) {
+        try {
+            const match = await this.findMatch(scraper, metadata, request.type);
+            if (!match) {
+                return null;
+            }
+
+            if (!request.isEpisode()) {
+                return match;
+            }
+
+            const meta = await scraper.getMeta(match.id, 'series');
+            const video = ((meta && meta.videos) || []).find(v =>
+                v.season === request.season && v.episode === request.episode
+            );
+            return video ? { ...match, id: video.id } : null;
+        } catch (error) {
+            console.error(`ScraperManager: Lookup error in ${scraper.name}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the page on one scraper that best matches resolved metadata
+     * Searches by title, then original title and aliases, stopping at the
+     * first confident match; results of all searches compete for best
+     * @param {BaseScraper} scraper - Scraper to search
+     * @param {Object} metadata - Metadata from the MetadataResolver
+     * @param {string} type - Content type
+     * @returns {Object} { id, name, score, confident } or null if nothing matches well enough
+     */
+    async findMatch(scraper, metadata, type) {
+        const titles = [metadata.title, metadata.originalTitle, ...(metadata.aliases || [])].filter(Boolean);
+        const queries = [...new Map(titles.map(title => [titleNormalizer.normalize(title), title])).values()];
+        const candidates = new Map();
+        let best = null;
+
+        for (const query of queries) {
+            const results = await scraper.search(query, type);
+            (results || []).forEach(result => candidates.set(result.id, result));
+
+            best = this.titleMatcher.findBest([...candidates.values()], metadata, type);
+            if (best && best.confident) break;
+        }
+
+        if (!best) {
+            console.log(`ScraperManager: ${scraper.name} has no match for "${metadata.title}"`);
+            return null;
+        }
+
+        if (!best.confident) {
+            console.log(`ScraperManager: ${scraper.name} low-confidence match "${best.candidate.name}" for "${metadata.title}" (${best.score})`);
+        }
+
+        return {
+            id: best.candidate.id,
+            name: best.candidate.name,
+            score: best.score,
+            confident: best.confident
+        };
+    }
+
+    /**
+     * Find the best matching page on every enabled scraper
+     * @param {Object} metadata - Metadata from the MetadataResolver
+     * @param {string} type - Content type
+     * @param {UserConfig} userConfig - Optional per-user settings
+     * @returns {Array} [{ scraper, id, name, score, confident }], unmatched scrapers omitted
+     */
+    async findMatches(metadata, type, userConfig = null) {
+        const tasks = this.getEnabledScrapers(userConfig).map(scraper => ({
+            name: scraper.name,
+            run: () => this.findMatch(scraper, metadata, type)
+        }));
+
+        const { results } = await this.taskRunner.run(tasks);
+        return results
+            .filter(result => result.value)
+            .map(result => ({ scraper: result.name, ...result.value }));
+    }
+
     /**
      * Get all enabled scrapers
+     * @param {UserConfig} userConfig - Optional per-user settings narrowing the selection
      * @returns {Array} Array of enabled scrapers
      */
-    getEnabledScrapers() {
-        return this.scrapers.filter(scraper => scraper.enabled);
+    getEnabledScrapers(userConfig = null) {
+        return this.scrapers.filter(scraper =>
+            scraper.enabled && (!userConfig || userConfig.isScraperEnabled(scraper.name))
+        );
     }
 
     /**
      * Search across all scrapers
      * @param {string} query - Search query
      * @param {string} type - Content type (movie/series)
+     * @param {UserConfig} userConfig - Optional per-user settings
      * @returns {Array} Combined results from all scrapers
      */
-    async search(query, type) {
+    async search(query, type, userConfig = null) {
         console.log(`ScraperManager: Searching for "${query}" (${type})`);
 
-        const enabledScrapers = this.getEnabledScrapers();
+        const enabledScrapers = this.getEnabledScrapers(userConfig);
         const allResults = [];
 
         // Search in parallel across all scrapers
@@ -114,12 +276,13 @@ class ScraperManager {
      * Get popular content across all scrapers
      * @param {string} type - Content type (movie/series)
      * @param {string} genre - Optional genre filter
+     * @param {UserConfig} userConfig - Optional per-user settings
      * @returns {Array} Combined popular content from all scrapers
      */
-    async getPopular(type, genre = null) {
+    async getPopular(type, genre = null, userConfig = null) {
         console.log(`ScraperManager: Getting popular ${type} content${genre ? ` (${genre})` : ''}`);
 
-        const enabledScrapers = this.getEnabledScrapers();
+        const enabledScrapers = this.getEnabledScrapers(userConfig);
         const allResults = [];
 
         // Get popular content in parallel
@@ -160,6 +323,97 @@ class ScraperManager {
         return sortedResults;
     }
 
+    /**
+     * Build the manifest catalog entries: one per scraper and type, plus a
+     * merged "All sources" catalog per type
+     * @param {Array} types - Content types to expose catalogs for
+     * @param {UserConfig} userConfig - Optional per-user settings
+     * @returns {Array} Stremio manifest catalog definitions
+     */
+    getCatalogs(types = ['movie', 'series'], userConfig = null) {
+        const extra = [
+            { name: 'search', isRequired: false },
+            { name: 'genre', isRequired: false, options: CATALOG_GENRES },
+            { name: 'skip', isRequired: false }
+        ];
+        const catalogs = [];
+
+        for (const type of types) {
+            catalogs.push({
+                type,
+                id: 'ultimate-all',
+                name: 'All sources',
+                extra
+            });
+
+            for (const scraper of this.getEnabledScrapers(userConfig)) {
+                catalogs.push({
+                    type,
+                    id: `ultimate-${scraper.name.toLowerCase()}`,
+                    name: scraper.name,
+                    extra
+                });
+            }
+        }
+
+        return catalogs;
+    }
+
+    /**
+     * Resolve a catalog request to a page of meta previews
+     * @param {string} type - Content type (movie/series)
+     * @param {string} catalogId - Catalog ID from the manifest
+     * @param {Object} extra - Catalog extras (search, genre, skip)
+     * @param {UserConfig} userConfig - Optional per-user settings
+     * @returns {Array} Meta objects for the requested page
+     */
+    async getCatalog(type, catalogId, extra = {}, userConfig = null) {
+        const { search, genre } = extra;
+        const skip = parseInt(extra.skip) || 0;
+        let results;
+
+        if (catalogId === 'ultimate-all') {
+            results = search
+                ? await this.search(search, type, userConfig)
+                : await this.getPopular(type, genre, userConfig);
+        } else {
+            const scraper = this.getScraperFromCatalogId(catalogId, userConfig);
+            if (!scraper) {
+                console.error(`ScraperManager: No scraper found for catalog ${catalogId}`);
+                return [];
+            }
+
+            try {
+                results = search ? await scraper.search(search, type) : await scraper.getPopular(type, genre);
+                results = (results || []).map(result => ({
+                    ...result,
+                    source: scraper.name
+                }));
+            } catch (error) {
+                console.error(`ScraperManager: Catalog error in ${scraper.name}:`, error);
+                return [];
+            }
+        }
+
+        // Scrapers may return mixed types for searches, Stremio expects only the requested one
+        return results
+            .filter(result => !result.type || result.type === type)
+            .slice(skip, skip + CATALOG_PAGE_SIZE);
+    }
+
+    /**
+     * Get scraper instance from catalog ID
+     * @param {string} catalogId - Catalog ID in the form ultimate-<scrapername>
+     * @param {UserConfig} userConfig - Optional per-user settings
+     * @returns {Object} Scraper instance or null
+     */
+    getScraperFromCatalogId(catalogId, userConfig = null) {
+        const scraperName = catalogId.replace(/^ultimate-/, '');
+        return this.getEnabledScrapers(userConfig).find(scraper =>
+            scraper.name.toLowerCase() === scraperName
+        ) || null;
+    }
+
     /**
      * Get metadata for specific content
      * @param {string} id - Content ID
@@ -231,10 +485,7 @@ class ScraperManager {
             return null;
         }
 
-        const scraperName = parts[1].toLowerCase();
-        return this.scrapers.find(scraper =>
-            scraper.name.toLowerCase() === scraperName
-        );
+        return this.registry.get(parts[1]);
     }
 
     /**
@@ -279,18 +530,12 @@ class ScraperManager {
     }
 
     /**
-     * Normalize title for comparison
+     * Normalize title for comparison, see TitleNormalizer
      * @param {string} title - Original title
      * @returns {string} Normalized title
      */
     normalizeTitle(title) {
-        if (!title) return '';
-
-        return title
-            .toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '') // Remove special characters
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
+        return titleNormalizer.normalize(title);
     }
 
     /**
@@ -301,11 +546,24 @@ class ScraperManager {
         return {
             totalScrapers: this.scrapers.length,
             enabledScrapers: this.getEnabledScrapers().length,
-            scrapers: this.scrapers.map(scraper => ({
-                name: scraper.name,
-                enabled: scraper.enabled,
-                baseUrl: scraper.baseUrl
-            }))
+            coalescing: this.singleFlight.getStats(),
+            loadFailures: this.registry.getFailures(),
+            scrapers: this.scrapers.map(scraper => this.describeScraper(scraper))
+        };
+    }
+
+    /**
+     * Summarize a scraper for the API, without its internals
+     * @param {BaseScraper} scraper - Scraper instance
+     * @returns {Object} { key, name, enabled, baseUrl, source ('site' definition or 'module') }
+     */
+    describeScraper(scraper) {
+        return {
+            key: this.registry.getKey(scraper),
+            name: scraper.name,
+            enabled: scraper.enabled,
+            baseUrl: scraper.baseUrl,
+            source: scraper.definition ? 'site' : 'module'
         };
     }
 
@@ -315,7 +573,7 @@ class ScraperManager {
      * @param {boolean} enabled - Enable/disable flag
      */
     setScraperEnabled(name, enabled) {
-        const scraper = this.scrapers.find(s => s.name.toLowerCase() === name.toLowerCase());
+        const scraper = this.registry.get(name);
         if (scraper) {
             scraper.enabled = enabled;
             console.log(`${scraper.name} scraper ${enabled ? 'enabled' : 'disabled'}`);
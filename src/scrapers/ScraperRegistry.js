@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const BaseScraper = require('./BaseScraper');
+const GenericSelectorScraper = require('./GenericSelectorScraper');
+const SiteDefinitions = require('./SiteDefinitions');
+const config = require('../utils/Config');
+
+// Methods every scraper must override, BaseScraper only has throwing stubs
+const REQUIRED_METHODS = ['search', 'getPopular', 'getMeta', 'getStreams'];
+
+// Modules in the scrapers directory that are not scrapers themselves
+const IGNORED_FILES = [
+    'BaseScraper.js', 'GenericSelectorScraper.js', 'ScraperManager.js', 'ScraperRegistry.js', 'SiteDefinitions.js'
+];
+
+/**
+ * Discovers, validates and registers scrapers
+ * Every module in src/scrapers exporting a BaseScraper subclass is loaded and
+ * registered under a stable key, the lowercased scraper name, which is also
+ * what scraped: IDs, SCRAPERS_ENABLED and per-user configs refer to.
+ * Declarative site definitions are registered the same way, each backed by
+ * a GenericSelectorScraper, and are reloaded when their files change. Sites
+ * are enabled by their own `enabled` flag (on unless set to false), so
+ * dropping a file into the sites directory is enough; SCRAPERS_ENABLED can
+ * additionally switch on a site whose file turns it off.
+ *
+ * A scraper that fails to load or validate is reported and skipped, it never
+ * takes the server down with it.
+ */
+class ScraperRegistry {
+    constructor(options = {}) {
+        this.directory = options.directory || __dirname;
+        this.enabledKeys = (options.enabled || config.get('scrapers.enabled'))
+            .map(key => key.trim().toLowerCase())
+            .filter(Boolean);
+        this.sites = options.sites || new SiteDefinitions();
+        this.watchSites = options.watchSites !== undefined ? options.watchSites : config.get('scrapers.sitesWatch');
+        this.scrapers = new Map();
+        // Definition file name -> key of the scraper it registered
+        this.siteFiles = new Map();
+        this.failures = [];
+    }
+
+    /**
+     * Load every scraper module in the scrapers directory, then every site definition
+     * @returns {Array} Registered scraper instances
+     */
+    discover() {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.directory)
+                .filter(file => file.endsWith('.js') && !IGNORED_FILES.includes(file))
+                .sort();
+        } catch (error) {
+            this.recordFailure(this.directory, error);
+            return this.getAll();
+        }
+
+        for (const file of files) {
+            this.loadFile(file);
+        }
+
+        this.sites.listFiles().forEach(file => this.loadSite(file));
+        if (this.watchSites) {
+            this.sites.watch(file => this.reloadSite(file));
+        }
+
+        this.warnUnknownKeys();
+        return this.getAll();
+    }
+
+    /**
+     * Load and register the scraper exported by one module
+     * Modules that do not export a BaseScraper subclass are skipped quietly
+     * @param {string} file - File name inside the scrapers directory
+     */
+    loadFile(file) {
+        try {
+            const ScraperClass = require(path.join(this.directory, file));
+            if (typeof ScraperClass !== 'function' || !(ScraperClass.prototype instanceof BaseScraper)) {
+                return;
+            }
+
+            this.validate(ScraperClass);
+            this.register(new ScraperClass());
+        } catch (error) {
+            this.recordFailure(file, error);
+        }
+    }
+
+    /**
+     * Load a site definition and register or update its scraper
+     * An invalid definition leaves the previously loaded version in place
+     * @param {string} file - Definition file name inside the sites directory
+     */
+    loadSite(file) {
+        try {
+            const definition = this.sites.load(file);
+            const key = definition.name.toLowerCase();
+            const previousKey = this.siteFiles.get(file);
+
+            if (previousKey === key) {
+                const scraper = this.scrapers.get(key);
+                scraper.setDefinition(definition);
+                scraper.enabled = this.isEnabled(scraper);
+            } else {
+                const scraper = new GenericSelectorScraper(definition);
+                this.register(scraper);
+                if (previousKey) {
+                    // The definition was renamed, its old key goes away
+                    this.unregister(previousKey);
+                }
+            }
+
+            this.siteFiles.set(file, key);
+            this.clearFailure(file);
+        } catch (error) {
+            this.recordFailure(file, error);
+        }
+    }
+
+    /**
+     * Handle a changed site definition file: reload it, or drop its scraper if it was deleted
+     * @param {string} file - Definition file name
+     */
+    reloadSite(file) {
+        if (this.sites.exists(file)) {
+            console.log(`ScraperRegistry: Reloading site definition ${file}`);
+            this.loadSite(file);
+            return;
+        }
+
+        const key = this.siteFiles.get(file);
+        if (key) {
+            console.log(`ScraperRegistry: Site definition ${file} removed, unregistering ${key}`);
+            this.unregister(key);
+            this.siteFiles.delete(file);
+        }
+        this.clearFailure(file);
+    }
+
+    /**
+     * Remove a scraper from the registry
+     * @param {string} key - Scraper key
+     */
+    unregister(key) {
+        this.scrapers.delete(key);
+    }
+
+    /**
+     * Record a module or definition that failed to load, replacing older failures of the same file
+     * @param {string} file - File name
+     * @param {Error} error - Load error
+     */
+    recordFailure(file, error) {
+        console.error(`ScraperRegistry: Failed to load ${file}:`, error.message);
+        this.clearFailure(file);
+        this.failures.push({ file, error: error.message });
+    }
+
+    /**
+     * Forget a recorded load failure
+     * @param {string} file - File name
+     */
+    clearFailure(file) {
+        this.failures = this.failures.filter(failure => failure.file !== file);
+    }
+
+    /**
+     * Check that a scraper class implements the required methods
+     * @param {Function} ScraperClass - BaseScraper subclass
+     * @throws {Error} If a required method is missing or not overridden
+     */
+    validate(ScraperClass) {
+        const missing = REQUIRED_METHODS.filter(method =>
+            typeof ScraperClass.prototype[method] !== 'function' ||
+            ScraperClass.prototype[method] === BaseScraper.prototype[method]
+        );
+
+        if (missing.length > 0) {
+            throw new Error(`${ScraperClass.name} does not implement ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Register a scraper instance under its key and decide whether it is enabled
+     * @param {BaseScraper} scraper - Scraper instance
+     * @throws {Error} If the scraper has no name or its key is taken
+     */
+    register(scraper) {
+        if (!scraper.name) {
+            throw new Error(`${scraper.constructor.name} has no name`);
+        }
+
+        const key = this.getKey(scraper);
+        if (this.scrapers.has(key)) {
+            throw new Error(`Duplicate scraper key "${key}" (${scraper.constructor.name})`);
+        }
+
+        scraper.enabled = this.isEnabled(scraper);
+        this.scrapers.set(key, scraper);
+    }
+
+    /**
+     * Get the stable key of a scraper
+     * @param {BaseScraper} scraper - Scraper instance
+     * @returns {string} Scraper key
+     */
+    getKey(scraper) {
+        return scraper.name.toLowerCase();
+    }
+
+    /**
+     * Whether a scraper is enabled: by SCRAPERS_ENABLED, or for sites by their definition
+     * @param {BaseScraper} scraper - Scraper instance
+     * @returns {boolean}
+     */
+    isEnabled(scraper) {
+        const definitionEnabled = scraper instanceof GenericSelectorScraper && scraper.definition.enabled;
+        return this.isEnabledByConfig(this.getKey(scraper)) || definitionEnabled;
+    }
+
+    /**
+     * Whether SCRAPERS_ENABLED switches a scraper on, "all" enables every scraper
+     * @param {string} key - Scraper key
+     * @returns {boolean}
+     */
+    isEnabledByConfig(key) {
+        return this.enabledKeys.includes('all') || this.enabledKeys.includes(key);
+    }
+
+    /**
+     * Warn about SCRAPERS_ENABLED entries that match no scraper, usually typos
+     */
+    warnUnknownKeys() {
+        this.enabledKeys
+            .filter(key => key !== 'all' && !this.scrapers.has(key))
+            .forEach(key => console.warn(`ScraperRegistry: SCRAPERS_ENABLED lists unknown scraper "${key}"`));
+    }
+
+    /**
+     * Get a scraper by key
+     * @param {string} key - Scraper key
+     * @returns {BaseScraper} Scraper instance or undefined
+     */
+    get(key) {
+        return this.scrapers.get(key.toLowerCase());
+    }
+
+    /**
+     * Get all registered scrapers, enabled or not
+     * @returns {Array} Scraper instances
+     */
+    getAll() {
+        return [...this.scrapers.values()];
+    }
+
+    /**
+     * Get modules that failed to load
+     * @returns {Array} [{ file, error }]
+     */
+    getFailures() {
+        return this.failures;
+    }
+}
+
+module.exports = ScraperRegistry;
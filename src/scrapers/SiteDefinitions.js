@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../utils/Config');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Top-level keys a site definition may use, anything else is most likely a typo
+const DEFINITION_KEYS = ['name', 'enabled', 'baseUrl', 'language', 'headers', 'cookies', 'login', 'limits', 'urls', 'listing', 'detail', 'episodes', 'types', 'embeds'];
+
+// Fields each section may define, see GenericSelectorScraper for their meaning
+const SECTION_FIELDS = {
+    listing: ['title', 'url', 'poster', 'year', 'description'],
+    detail: ['title', 'poster', 'background', 'year', 'rating', 'description', 'genres', 'runtime'],
+    episodes: ['url', 'title', 'season', 'episode', 'thumbnail', 'overview'],
+    embeds: ['url', 'server', 'quality']
+};
+
+// Fields that must be present when their section is
+const REQUIRED_FIELDS = {
+    listing: ['title', 'url'],
+    episodes: ['url'],
+    embeds: ['url']
+};
+
+// Wait for editors to finish writing before reloading a changed file
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Loads, validates and watches declarative site definitions
+ * A definition is a JSON or YAML file describing how to scrape one site:
+ * URL templates, listing/detail/episode selectors with attribute fallbacks,
+ * type detection rules and embed rules. Files starting with an underscore
+ * are ignored, see sites/_example.yaml for the full format.
+ *
+ * Field specs are either a selector (or list of selectors), read as text, or
+ * { selector, attr, pattern, multiple } where selector and attr may be lists
+ * tried in order, attr may be "text" or "html", and pattern is a regex whose
+ * first capture group becomes the value. Without a selector the spec reads
+ * the current element itself.
+ */
+class SiteDefinitions {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory || config.get('scrapers.sitesPath'));
+        this.watcher = null;
+        this.reloadTimers = new Map();
+    }
+
+    /**
+     * List definition files in the sites directory
+     * @returns {Array} File names, or an empty list if the directory is missing
+     */
+    listFiles() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => this.isDefinitionFile(file))
+            .sort();
+    }
+
+    /**
+     * Whether a file name looks like a site definition
+     * @param {string} file - File name
+     * @returns {boolean}
+     */
+    isDefinitionFile(file) {
+        return !file.startsWith('_') && DEFINITION_EXTENSIONS.includes(path.extname(file).toLowerCase());
+    }
+
+    /**
+     * Whether a definition file still exists
+     * @param {string} file - File name
+     * @returns {boolean}
+     */
+    exists(file) {
+        return fs.existsSync(path.join(this.directory, file));
+    }
+
+    /**
+     * Read, parse and validate one definition file
+     * @param {string} file - File name inside the sites directory
+     * @returns {Object} Validated definition
+     * @throws {Error} If the file cannot be parsed or is not a valid definition
+     */
+    load(file) {
+        const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        const raw = path.extname(file).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : yaml.load(content);
+
+        return this.validate(raw);
+    }
+
+    /**
+     * Validate a raw definition and compile it for GenericSelectorScraper
+     * All problems are collected so a broken file reports everything at once
+     * @param {Object} raw - Parsed definition
+     * @returns {Object} Definition with normalized field specs and compiled regexes
+     * @throws {Error} If the definition is invalid
+     */
+    validate(raw) {
+        const errors = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Invalid site definition: expected an object');
+        }
+
+        Object.keys(raw)
+            .filter(key => !DEFINITION_KEYS.includes(key))
+            .forEach(key => errors.push(`unknown key "${key}"`));
+
+        // The name becomes the scraper key and part of scraped: IDs
+        if (typeof raw.name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(raw.name)) {
+            errors.push('name must be letters, digits, "-" or "_"');
+        }
+
+        if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+
+        if (!this.isHttpUrl(raw.baseUrl)) {
+            errors.push('baseUrl must be an http(s) URL');
+        }
+
+        if (raw.headers !== undefined && !this.isStringMap(raw.headers)) {
+            errors.push('headers must map header names to strings');
+        }
+
+        if (raw.cookies !== undefined && !this.isStringMap(raw.cookies)) {
+            errors.push('cookies must map cookie names to strings');
+        }
+
+        const login = raw.login;
+        if (login !== undefined) {
+            if (!login || typeof login.url !== 'string') {
+                errors.push('login.url must be a URL');
+            }
+            if (!login || !this.isStringMap(login.fields) || !login.fields.username || !login.fields.password) {
+                errors.push('login.fields must name the username and password form fields');
+            }
+            if (login && login.extra !== undefined && !this.isStringMap(login.extra)) {
+                errors.push('login.extra must map form field names to strings');
+            }
+            if (!login || typeof login.cookie !== 'string') {
+                errors.push('login.cookie must name the cookie set by a successful login');
+            }
+        }
+
+        if (raw.limits !== undefined && !this.isLimits(raw.limits)) {
+            errors.push('limits may only set maxConcurrent, minInterval and maxQueue to non-negative numbers');
+        }
+
+        const urls = raw.urls || {};
+        if (typeof urls.search !== 'string' || !urls.search.includes('{query}')) {
+            errors.push('urls.search must be a URL template containing {query}');
+        }
+        if (urls.popular !== undefined && typeof urls.popular !== 'string' && !this.isStringMap(urls.popular)) {
+            errors.push('urls.popular must be a URL template or a { movie, series } map of templates');
+        }
+        if (urls.genre !== undefined && (typeof urls.genre !== 'string' || !urls.genre.includes('{genre}'))) {
+            errors.push('urls.genre must be a URL template containing {genre}');
+        }
+
+        const definition = {
+            name: raw.name,
+            baseUrl: typeof raw.baseUrl === 'string' ? raw.baseUrl.replace(/\/+$/, '') : raw.baseUrl,
+            // Adding a site is a data-only change, a definition is live unless it says otherwise
+            enabled: raw.enabled !== false,
+            language: raw.language || null,
+            headers: raw.headers || {},
+            cookies: raw.cookies || {},
+            login: login ? {
+                url: login.url,
+                fields: login.fields,
+                extra: login.extra || {},
+                cookie: login.cookie
+            } : null,
+            limits: raw.limits || {},
+            urls: {
+                search: urls.search,
+                popular: urls.popular || null,
+                genre: urls.genre || null
+            },
+            listing: this.compileSection('listing', raw.listing, errors, true),
+            detail: this.compileSection('detail', raw.detail, errors, false),
+            episodes: this.compileSection('episodes', raw.episodes, errors, false),
+            types: this.compileTypes(raw.types, errors),
+            embeds: this.compileSection('embeds', raw.embeds, errors, false)
+        };
+
+        if (definition.embeds) {
+            definition.embeds.direct = raw.embeds.direct !== false;
+            definition.embeds.allow = this.compilePatterns(raw.embeds.allow, 'embeds.allow', errors);
+            definition.embeds.deny = this.compilePatterns(raw.embeds.deny, 'embeds.deny', errors);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid site definition${raw.name ? ` "${raw.name}"` : ''}: ${errors.join('; ')}`);
+        }
+
+        return definition;
+    }
+
+    /**
+     * Compile a selector section: an item selector plus field specs
+     * @param {string} name - Section name
+     * @param {Object} raw - Raw section
+     * @param {Array} errors - Collected validation errors
+     * @param {boolean} required - Whether the section must be present
+     * @returns {Object} { item, fields } or null when absent
+     */
+    compileSection(name, raw, errors, required) {
+        if (raw === undefined || raw === null) {
+            if (required) errors.push(`${name} is required`);
+            return null;
+        }
+
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push(`${name} must be an object`);
+            return null;
+        }
+
+        // The detail section reads the whole page, every other one repeats an item
+        if (name !== 'detail' && (typeof raw.item !== 'string' || !raw.item.trim())) {
+            errors.push(`${name}.item must be a selector`);
+        }
+
+        const allowed = SECTION_FIELDS[name];
+        const ignored = ['item', 'direct', 'allow', 'deny'];
+        const fields = {};
+
+        for (const [field, spec] of Object.entries(raw)) {
+            if (ignored.includes(field)) continue;
+
+            if (!allowed.includes(field)) {
+                errors.push(`${name}.${field} is not a known field (${allowed.join(', ')})`);
+                continue;
+            }
+
+            fields[field] = this.compileField(spec, `${name}.${field}`, errors);
+        }
+
+        (REQUIRED_FIELDS[name] || [])
+            .filter(field => !raw[field])
+            .forEach(field => errors.push(`${name}.${field} is required`));
+
+        return { item: raw.item || null, fields };
+    }
+
+    /**
+     * Normalize a field spec to { selectors, attrs, pattern, multiple }
+     * @param {string|Object} spec - Raw field spec
+     * @param {string} label - Field path for error messages
+     * @param {Array} errors - Collected validation errors
+     * @returns {Object} Normalized field spec
+     */
+    compileField(spec, label, errors) {
+        // Shorthand: a selector or a list of fallback selectors, read as text
+        if (typeof spec === 'string' || Array.isArray(spec)) {
+            spec = { selector: spec };
+        }
+
+        if (!spec || typeof spec !== 'object') {
+            errors.push(`${label} must be a selector or a field spec object`);
+            return null;
+        }
+
+        const selectors = this.toList(spec.selector);
+        const attrs = this.toList(spec.attr);
+        if (!selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+            errors.push(`${label}.selector must be a selector or a list of selectors`);
+        }
+        if (!attrs.every(attr => typeof attr === 'string' && attr.trim())) {
+            errors.push(`${label}.attr must be an attribute name or a list of them`);
+        }
+
+        return {
+            selectors,
+            attrs: attrs.length > 0 ? attrs : ['text'],
+            pattern: spec.pattern ? this.compileRegex(spec.pattern, `${label}.pattern`, errors) : null,
+            multiple: Boolean(spec.multiple)
+        };
+    }
+
+    /**
+     * Compile type detection rules
+     * Each rule sets a type when its url regex matches the item URL, its
+     * selector is present, or its text regex matches the title
+     * @param {Object} raw - { default, rules: [{ type, url, selector, text }] }
+     * @param {Array} errors - Collected validation errors
+     * @returns {Object} { default, rules }
+     */
+    compileTypes(raw, errors) {
+        const types = ['movie', 'series'];
+        raw = raw || {};
+
+        if (raw.default !== undefined && !types.includes(raw.default)) {
+            errors.push('types.default must be movie or series');
+        }
+
+        const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, index) => {
+            const label = `types.rules[${index}]`;
+            rule = rule || {};
+            if (!types.includes(rule.type)) {
+                errors.push(`${label}.type must be movie or series`);
+            }
+            if (!rule.url && !rule.selector && !rule.text) {
+                errors.push(`${label} needs a url, selector or text condition`);
+            }
+
+            return {
+                type: rule.type,
+                url: rule.url ? this.compileRegex(rule.url, `${label}.url`, errors) : null,
+                selector: rule.selector || null,
+                text: rule.text ? this.compileRegex(rule.text, `${label}.text`, errors) : null
+            };
+        });
+
+        return { default: raw.default || null, rules };
+    }
+
+    /**
+     * Compile a list of regexes
+     * @param {string|Array} raw - Pattern or list of patterns
+     * @param {string} label - Field path for error messages
+     * @param {Array} errors - Collected validation errors
+     * @returns {Array} Compiled regexes
+     */
+    compilePatterns(raw, label, errors) {
+        return this.toList(raw).map((pattern, index) => this.compileRegex(pattern, `${label}[${index}]`, errors));
+    }
+
+    /**
+     * Compile a case-insensitive regex
+     * @param {string} pattern - Regex source
+     * @param {string} label - Field path for error messages
+     * @param {Array} errors - Collected validation errors
+     * @returns {RegExp} Compiled regex or null if invalid
+     */
+    compileRegex(pattern, label, errors) {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            errors.push(`${label} is not a valid regex: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Wrap a single value in a list
+     * @param {*} value - Value or list of values
+     * @returns {Array} List, empty for undefined/null
+     */
+    toList(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Whether a value is an absolute http(s) URL
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a value is a plain object of string values
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isStringMap(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(item => typeof item === 'string');
+    }
+
+    /**
+     * Whether a value is a valid set of per-host request limits
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isLimits(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            Object.entries(value).every(([key, limit]) =>
+                ['maxConcurrent', 'minInterval', 'maxQueue'].includes(key) && typeof limit === 'number' && limit >= 0
+            );
+    }
+
+    /**
+     * Watch the sites directory and report changed definition files
+     * Changes are debounced per file; the watcher never keeps the process alive
+     * @param {Function} onChange - Called with the file name of each changed definition
+     */
+    watch(onChange) {
+        if (this.watcher || !fs.existsSync(this.directory)) {
+            return;
+        }
+
+        try {
+            this.watcher = fs.watch(this.directory, (event, file) => {
+                if (!file || !this.isDefinitionFile(file)) return;
+
+                clearTimeout(this.reloadTimers.get(file));
+                const timer = setTimeout(() => {
+                    this.reloadTimers.delete(file);
+                    onChange(file);
+                }, RELOAD_DEBOUNCE_MS);
+                timer.unref();
+                this.reloadTimers.set(file, timer);
+            });
+            this.watcher.unref();
+            this.watcher.on('error', error => {
+                console.error('SiteDefinitions: Watcher error:', error.message);
+            });
+        } catch (error) {
+            // Read-only or serverless file systems may not support watching
+            console.warn(`SiteDefinitions: Cannot watch ${this.directory}:`, error.message);
+        }
+    }
+
+    /**
+     * Stop watching the sites directory
+     */
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.reloadTimers.forEach(timer => clearTimeout(timer));
+        this.reloadTimers.clear();
+    }
+}
+
+module.exports = SiteDefinitions;
@@ -1,9 +1,25 @@
 const BaseScraper = require('./BaseScraper');
 const cheerio = require('cheerio');
 
+// Words Wecima wraps around titles, e.g. "مشاهدة فيلم The Matrix 1999 مترجم"
+const TITLE_NOISE_PHRASES = /(?:^|\s)(?:اون|أون) لاين(?=\s|$)/g;
+const TITLE_NOISE_WORDS = new Set([
+    'مشاهدة', 'تحميل', 'فيلم', 'افلام', 'مسلسل', 'مسلسلات', 'انمي', 'برنامج', 'عرض',
+    'مترجم', 'مترجمة', 'مدبلج', 'مدبلجة', 'كامل', 'كاملة', 'HD'
+]);
+
+// Arabic ordinals used in season and episode labels, longest first
+const ARABIC_ORDINALS = [
+    ['الحادي عشر', 11], ['الثاني عشر', 12], ['الثالث عشر', 13], ['الرابع عشر', 14], ['الخامس عشر', 15],
+    ['الاول', 1], ['الأول', 1], ['الثاني', 2], ['الثالث', 3], ['الرابع', 4], ['الخامس', 5],
+    ['السادس', 6], ['السابع', 7], ['الثامن', 8], ['التاسع', 9], ['العاشر', 10]
+];
+
 /**
  * Wecima.video scraper implementation
- * Template for Arabic content streaming site
+ * Arabic site carrying dubbed and subtitled movies and series. Titles mix
+ * Arabic and Latin script, so both are kept: the Latin one as the name Stremio
+ * and our matcher see, the Arabic one as an alias.
  */
 class WecinaScraper extends BaseScraper {
     constructor() {
@@ -18,42 +34,12 @@ class WecinaScraper extends BaseScraper {
             console.log(`[${this.name}] Searching for: ${query} (${type})`);
             
             const searchUrl = `${this.searchUrl}?q=${encodeURIComponent(query)}`;
-            const response = await this.makeRequest(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const html = await response.text();
-            const $ = cheerio.load(html);
-            const results = [];
-            
-            // TODO: Update selectors based on actual site structure
-            $('.movie-item, .series-item, .content-item').each((i, element) => {
-                const $el = $(element);
-                
-                const title = $el.find('.title, h3, .movie-title').first().text().trim();
-                const year = this.extractYear($el.find('.year, .date').text());
-                const poster = this.cleanUrl($el.find('img').attr('src') || $el.find('img').attr('data-src'));
-                const link = this.cleanUrl($el.find('a').attr('href'));
-                const rating = this.extractRating($el.find('.rating, .imdb').text());
-                
-                if (title && link) {
-                    results.push(this.createMeta({
-                        id: this.generateId(link),
-                        type: this.determineType(link, type),
-                        title,
-                        year,
-                        poster,
-                        rating,
-                        sourceUrl: link
-                    }));
-                }
-            });
+            const $ = await this.fetchPage(searchUrl);
+            const results = this.extractListing($, type);
             
             console.log(`[${this.name}] Found ${results.length} search results`);
             return results;
-            
+        
         } catch (error) {
             console.error(`[${this.name}] Search error:`, error);
             return [];
@@ -67,65 +53,439 @@ class WecinaScraper extends BaseScraper {
                 url += `?genre=${encodeURIComponent(genre)}`;
             }
             
-            const response = await this.makeRequest(url);
-            const html = await response.text();
-            const $ = cheerio.load(html);
-            const results = [];
-            
-            // TODO: Update selectors based on actual site structure
-            $('.movie-item, .series-item').each((i, element) => {
-                const $el = $(element);
-                
-                const title = $el.find('.title, h3').text().trim();
-                const year = this.extractYear($el.find('.year').text());
-                const poster = this.cleanUrl($el.find('img').attr('src'));
-                const link = this.cleanUrl($el.find('a').attr('href'));
-                
-                if (title && link) {
-                    results.push(this.createMeta({
-                        id: this.generateId(link),
-                        type,
-                        title,
-                        year,
-                        poster,
-                        sourceUrl: link
-                    }));
-                }
-            });
-            
-            return results;
-            
+            const $ = await this.fetchPage(url);
+            return this.extractListing($, type);
+        
         } catch (error) {
             console.error(`[${this.name}] getPopular error:`, error);
             return [];
         }
     }
     
+    /**
+     * Get detailed metadata, including every season's episodes for series
+     * @param {string} id - Content ID
+     * @param {string} type - Content type
+     * @returns {Object} Meta object with detailed info
+     */
     async getMeta(id, type) {
-        // TODO: Implement detailed metadata extraction
-        // Similar to PstreamScraper but with Wecima-specific selectors
-        return null;
+        try {
+            const url = this.getUrlFromId(id);
+            if (!url) {
+                console.error(`[${this.name}] Could not extract URL from ID: ${id}`);
+                return null;
+            }
+            
+            console.log(`[${this.name}] Getting metadata for: ${url}`);
+            
+            const $ = await this.fetchPage(url);
+            const rawTitle = $('.Title--Content--Single-begin h1, h1').first().text();
+            const { title, arabicTitle, year } = this.parseTitle(rawTitle);
+            const latinTitle = $('.AlternativeTitle, .alt-title').first().text().trim();
+            const contentType = this.determineType(url, type, $);
+            
+            const poster = this.extractImage($('.Poster--Single-begin, .poster').first()) ||
+                this.cleanUrl($('meta[property="og:image"]').attr('content'));
+            const details = this.extractDetails($);
+            
+            const meta = this.createMeta({
+                id,
+                type: contentType,
+                title: latinTitle || title,
+                aliases: [arabicTitle, title].filter(alias => alias && alias !== (latinTitle || title)),
+                year: year || this.extractYear(details['سنة العرض'] || details['السنة'] || ''),
+                poster,
+                background: this.extractImage($('.Background--Single-begin, .backdrop').first()) || poster,
+                rating: this.extractRating($('.imdbR, .rating, .imdb').first().text()),
+                description: $('.StoryMovieContent, .PostItemContent, .story').first().text().trim() || null,
+                genres: this.splitList(details['النوع'] || details['التصنيف']),
+                runtime: details['المدة'] || null,
+                country: details['الدولة'] || null,
+                language: details['اللغة'] || null,
+                episodes: contentType === 'series' ? await this.extractEpisodes($, url) : []
+            });
+            
+            console.log(`[${this.name}] Retrieved metadata for: ${meta.name}`);
+            return meta;
+        
+        } catch (error) {
+            console.error(`[${this.name}] getMeta error:`, error);
+            return null;
+        }
     }
     
+    /**
+     * Get streams from every mirror in the server tabs
+     * For series the ID is an episode ID from getMeta()
+     * @param {string} id - Content ID
+     * @param {string} type - Content type
+     * @returns {Array} Array of stream objects
+     */
     async getStreams(id, type) {
-        // TODO: Implement stream extraction
-        // Look for video players, embed URLs, and direct links
-        return [];
+        try {
+            const url = this.getUrlFromId(id);
+            if (!url) {
+                console.error(`[${this.name}] Could not extract URL from ID: ${id}`);
+                return [];
+            }
+            
+            console.log(`[${this.name}] Getting streams for: ${url}`);
+            
+            const html = await this.fetchHtml(url);
+            const $ = cheerio.load(html);
+            const audio = this.detectAudio($('h1').first().text());
+            const streams = [];
+            
+            // Direct links on the page itself, mostly the download list
+            for (const download of this.extractDownloads($)) {
+                streams.push(this.createStream({
+                    ...audio,
+                    url: download.url,
+                    quality: download.quality || this.extractQuality(download.url),
+                    server: 'Download'
+                }));
+            }
+            
+            // Every server tab is a separate mirror, resolve them side by side
+            const mirrors = this.extractServers($, url);
+            const resolved = await Promise.all(mirrors.map(mirror => this.resolveEmbedStreams(mirror.url, {
+                referer: url,
+                server: mirror.name,
+                stream: audio
+            })));
+            streams.push(...resolved.flat());
+            
+            console.log(`[${this.name}] Found ${streams.length} streams from ${mirrors.length} servers`);
+            return streams;
+        
+        } catch (error) {
+            console.error(`[${this.name}] getStreams error:`, error);
+            return [];
+        }
+    }
+    
+    /**
+     * Parse listing cards (search results, popular pages) into metas
+     * @param {Function} $ - Cheerio root
+     * @param {string} type - Requested content type
+     * @returns {Array} Array of meta objects
+     */
+    extractListing($, type) {
+        const results = [];
+        
+        $('.GridItem, .movie-item, .series-item, .content-item').each((i, element) => {
+            const $el = $(element);
+            
+            const rawTitle = $el.find('strong, .title, h3, .movie-title').first().text();
+            const link = this.cleanUrl($el.find('a').first().attr('href'));
+            if (!rawTitle.trim() || !link) return;
+            
+            const { title, arabicTitle, year } = this.parseTitle(rawTitle);
+            const contentType = this.determineType(link, type);
+            results.push(this.createMeta({
+                id: this.generateId(link, contentType),
+                type: contentType,
+                title,
+                aliases: arabicTitle && arabicTitle !== title ? [arabicTitle] : [],
+                year: year || this.extractYear($el.find('.year, .date').text()),
+                poster: this.extractImage($el.find('.BG--GridItem, img').first()),
+                rating: this.extractRating($el.find('.rating, .imdb').text())
+            }));
+        });
+        
+        return results;
+    }
+    
+    /**
+     * Collect episodes of every season
+     * Wecima shows one season per page with links to the other seasons, so
+     * each season page is fetched and its episode list parsed
+     * @param {Function} $ - Cheerio root of the series page
+     * @param {string} pageUrl - Series page URL
+     * @returns {Array} Raw episode objects for createMeta()
+     */
+    async extractEpisodes($, pageUrl) {
+        const seasons = [];
+        $('.List--Seasons--Episodes a, .seasons-list a').each((i, element) => {
+            const link = this.cleanUrl($(element).attr('href'));
+            if (link) {
+                seasons.push({ url: link, season: this.parseNumber($(element).text(), 'الموسم') || i + 1 });
+            }
+        });
+        
+        // Series with a single season have no season list
+        if (seasons.length === 0) {
+            const season = this.parseNumber($('h1').first().text(), 'الموسم') || 1;
+            return this.extractSeasonEpisodes($, season);
+        }
+        
+        const episodes = [];
+        for (const season of seasons) {
+            try {
+                const $season = season.url === pageUrl ? $ : await this.fetchPage(season.url);
+                episodes.push(...this.extractSeasonEpisodes($season, season.season));
+            } catch (error) {
+                console.error(`[${this.name}] Error loading season ${season.season}:`, error.message);
+            }
+        }
+        
+        return episodes;
+    }
+    
+    /**
+     * Parse the episode list of one season page
+     * @param {Function} $ - Cheerio root of the season page
+     * @param {number} season - Season number
+     * @returns {Array} Raw episode objects
+     */
+    extractSeasonEpisodes($, season) {
+        const episodes = [];
+        
+        $('.Episodes--Seasons--Episodes a, .episodes-list a').each((i, element) => {
+            const $el = $(element);
+            const link = this.cleanUrl($el.attr('href'));
+            if (!link) return;
+            
+            const label = $el.find('episodeTitle, .episode-title').text() || $el.text();
+            const episode = this.parseNumber(label, 'الحلقة') || i + 1;
+            episodes.push({
+                id: this.generateId(link, 'series'),
+                title: label.trim() || `الحلقة ${episode}`,
+                season,
+                episode
+            });
+        });
+        
+        return episodes;
+    }
+    
+    /**
+     * Extract every mirror from the server tabs
+     * @param {Function} $ - Cheerio root
+     * @param {string} pageUrl - Page URL
+     * @returns {Array} [{ name, url }]
+     */
+    extractServers($, pageUrl) {
+        const servers = new Map();
+        
+        $('.WatchServersList li, ul#watch li, .servers-list li').each((i, element) => {
+            const $el = $(element);
+            const $button = $el.find('[data-url], [data-watch]').first();
+            const url = $button.attr('data-url') || $button.attr('data-watch') ||
+                $el.attr('data-url') || $el.attr('data-watch');
+            const absolute = this.resolveUrl(url, pageUrl);
+            if (absolute && !servers.has(absolute)) {
+                const name = $el.find('strong').text().trim() || $el.text().trim() || this.extractServerName(absolute);
+                servers.set(absolute, { name, url: absolute });
+            }
+        });
+        
+        // The active player, in case the tabs are rendered by JavaScript
+        $('iframe[src], iframe[data-src]').each((i, element) => {
+            const absolute = this.resolveUrl($(element).attr('src') || $(element).attr('data-src'), pageUrl);
+            if (absolute && !servers.has(absolute)) {
+                servers.set(absolute, { name: this.extractServerName(absolute), url: absolute });
+            }
+        });
+        
+        return [...servers.values()];
+    }
+    
+    /**
+     * Extract direct download links with their quality labels
+     * @param {Function} $ - Cheerio root
+     * @returns {Array} [{ url, quality }]
+     */
+    extractDownloads($) {
+        const downloads = [];
+        
+        $('.List--Download--Wecima--Single a, .download-links a').each((i, element) => {
+            const $el = $(element);
+            const href = this.cleanUrl($el.attr('href'));
+            if (href && this.extractVideoUrls(href).length > 0) {
+                downloads.push({
+                    url: href,
+                    quality: this.extractQuality($el.find('resolution').text() || $el.text())
+                });
+            }
+        });
+        
+        return downloads;
+    }
+    
+    /**
+     * Split a Wecima title into its Latin and Arabic parts
+     * @param {string} rawTitle - Title as shown on the site
+     * @returns {Object} { title, arabicTitle, year }
+     */
+    parseTitle(rawTitle) {
+        let text = this.normalizeDigits(rawTitle || '').replace(/[()\[\]|]+|\s[–-]\s/g, ' ');
+        
+        // The release year comes last, "Blade Runner 2049 2017" is from 2017
+        const years = text.match(/\b(?:19|20)\d{2}\b/g);
+        const year = years ? parseInt(years[years.length - 1]) : null;
+        if (year) {
+            const index = text.lastIndexOf(String(year));
+            text = `${text.slice(0, index)} ${text.slice(index + 4)}`;
+        }
+        
+        // Season/episode suffixes belong to the page, not the title
+        text = text
+            .replace(/(الموسم|الحلقة)\s+\S+(\s+عشر)?/g, ' ')
+            .replace(TITLE_NOISE_PHRASES, ' ')
+            .split(/\s+/)
+            .filter(word => word && !TITLE_NOISE_WORDS.has(word))
+            .join(' ');
+        
+        const latin = (text.match(/[A-Za-z0-9](?:[A-Za-z0-9 :'&!?.,-]*[A-Za-z0-9!?])?/g) || [])
+            .filter(part => /[A-Za-z]/.test(part))
+            .sort((a, b) => b.length - a.length)[0] || null;
+        const arabic = text.replace(/[A-Za-z0-9:'&!?.,-]+/g, ' ').replace(/\s+/g, ' ').trim() || null;
+        
+        return {
+            title: latin || arabic || rawTitle.trim(),
+            arabicTitle: arabic,
+            year
+        };
+    }
+    
+    /**
+     * Detect dubbed or subtitled releases from the page title
+     * @param {string} title - Page title
+     * @returns {Object} Stream fields for createStream()
+     */
+    detectAudio(title) {
+        if (/مدبلج/.test(title)) {
+            return { language: 'ar', qualityNote: 'Arabic dub' };
+        }
+        if (/مترجم/.test(title)) {
+            return { qualityNote: 'Arabic subtitles' };
+        }
+        return {};
+    }
+    
+    /**
+     * Read the number following a label such as "الموسم" or "الحلقة"
+     * Accepts digits and Arabic ordinals, e.g. "الموسم الثاني" or "الحلقة 12"
+     * @param {string} text - Text to search
+     * @param {string} label - Label preceding the number
+     * @returns {number} Number or null
+     */
+    parseNumber(text, label) {
+        const normalized = this.normalizeDigits(text || '');
+        const index = normalized.indexOf(label);
+        const rest = index >= 0 ? normalized.slice(index + label.length).trim() : normalized.trim();
+        
+        const digits = rest.match(/^(\d+)/) || (index >= 0 ? null : rest.match(/(\d+)/));
+        if (digits) {
+            return parseInt(digits[1]);
+        }
+        
+        const ordinal = ARABIC_ORDINALS.find(([word]) => rest.startsWith(word));
+        return ordinal ? ordinal[1] : null;
     }
     
-    determineType(url, defaultType) {
-        if (url.includes('/series/') || url.includes('/tv/')) {
+    /**
+     * Read the key/value detail list on a title page, e.g. "النوع: دراما"
+     * @param {Function} $ - Cheerio root
+     * @returns {Object} Values keyed by their Arabic label
+     */
+    extractDetails($) {
+        const details = {};
+        
+        $('.Terms--Content--Single-begin li, .details-list li').each((i, element) => {
+            const $el = $(element);
+            const label = $el.find('span').first().text().replace(':', '').trim();
+            const $values = $el.find('a').length > 0 ? $el.find('a') : $el.find('p');
+            const value = $values.map((j, item) => $(item).text().trim()).get().join(', ');
+            if (label && value) {
+                details[label] = value;
+            }
+        });
+        
+        return details;
+    }
+    
+    /**
+     * Read an image URL from an element, its background style or its first img
+     * @param {Object} $el - Cheerio element
+     * @returns {string} Image URL or null
+     */
+    extractImage($el) {
+        if (!$el || $el.length === 0) return null;
+        
+        const style = $el.attr('style') || $el.attr('data-lazy-style') || '';
+        const background = style.match(/url\(['"]?([^'")]+)['"]?\)/);
+        const $img = $el.is('img') ? $el : $el.find('img').first();
+        
+        return this.cleanUrl(
+            (background && background[1]) ||
+            $el.attr('data-src') ||
+            $img.attr('data-src') ||
+            $img.attr('src')
+        );
+    }
+    
+    /**
+     * Resolve a possibly relative link against a page URL
+     * @param {string} url - Link
+     * @param {string} pageUrl - Page URL
+     * @returns {string} Absolute URL or null if invalid
+     */
+    resolveUrl(url, pageUrl) {
+        if (!url) return null;
+        try {
+            return new URL(url, pageUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    splitList(text) {
+        if (!text) return [];
+        return text.split(/[,،|]/).map(item => item.trim()).filter(item => item.length > 0);
+    }
+    
+    /**
+     * Fetch a page
+     * @param {string} url - Page URL
+     * @param {Object} headers - Extra headers
+     * @returns {string} HTML
+     */
+    async fetchHtml(url, headers = {}) {
+        const response = await this.makeRequest(url, { headers });
+        return response.text();
+    }
+    
+    /**
+     * Fetch and parse a page
+     * @param {string} url - Page URL
+     * @returns {Function} Cheerio root
+     */
+    async fetchPage(url) {
+        return cheerio.load(await this.fetchHtml(url));
+    }
+    
+    determineType(url, defaultType, $ = null) {
+        if (url.includes('/series/') || url.includes('/tv/') || /%d9%85%d8%b3%d9%84%d8%b3%d9%84|مسلسل/i.test(url)) {
             return 'series';
-        } else if (url.includes('/movie/') || url.includes('/film/')) {
+        } else if (url.includes('/movie/') || url.includes('/film/') || /%d9%81%d9%8a%d9%84%d9%85|فيلم/i.test(url)) {
             return 'movie';
         }
+        // Series pages carry a season or episode list
+        if ($ && $('.List--Seasons--Episodes, .Episodes--Seasons--Episodes').length > 0) {
+            return 'series';
+        }
         return defaultType;
     }
     
-    generateId(url) {
-        return `scraped:${this.name.toLowerCase()}:${Buffer.from(url).toString('base64').slice(0, 16)}`;
+    extractServerName(url) {
+        try {
+            return new URL(url).hostname.replace('www.', '');
+        } catch (error) {
+            return 'Unknown Server';
+        }
     }
 }
 
 module.exports = WecinaScraper;
-
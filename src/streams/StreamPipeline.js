@@ -0,0 +1,298 @@
+/**
+ * Canonical quality values every stream is normalized to
+ */
+const QUALITY = {
+    UHD: '2160p',
+    QHD: '1440p',
+    FHD: '1080p',
+    HD: '720p',
+    SD: '480p',
+    LD: '360p',
+    CAM: 'CAM',
+    UNKNOWN: 'Unknown'
+};
+
+// Checked in order, the first matching pattern wins
+const QUALITY_PATTERNS = [
+    { quality: QUALITY.CAM, pattern: /\b(?:HD)?CAM(?:Rip)?\b|\bTELESYNC\b|\bTELECINE\b/i },
+    // Case-sensitive so ".ts" segments and paths are not mistaken for telesyncs
+    { quality: QUALITY.CAM, pattern: /\b(?:HD)?T[SC]\b/ },
+    { quality: QUALITY.UHD, pattern: /2160p|\b4K\b|\bUHD\b/i },
+    { quality: QUALITY.QHD, pattern: /1440p|\b2K\b|\bQHD\b/i },
+    { quality: QUALITY.FHD, pattern: /1080[pi]|\bFHD\b|\bFullHD\b/i },
+    { quality: QUALITY.HD, pattern: /720p|\bHD(?:Rip|TV)?\b/i },
+    { quality: QUALITY.SD, pattern: /480p|576p|\bSD\b|\bDVD(?:Rip|Scr)?\b/i },
+    { quality: QUALITY.LD, pattern: /360p|240p|144p/i }
+];
+
+/**
+ * Scoring model used to rank streams, higher is better:
+ *
+ * - Quality: 2160p 50, 1440p 45, 1080p 40, 720p 30, 480p 20, Unknown 15, 360p 10, CAM 0
+ * - Direct HTTP streams: +10, they start instantly and need no peers
+ * - Torrents: +5 * log10(seeders + 1), capped at +15; no seeders at all: -20
+ * - Not web ready (needs the desktop player): -5
+ * - Ships subtitles: +3
+ * - In one of the user's preferred languages: +8
+ * - Found through a low-confidence title match: -10
+ *
+ * Ties are broken by quality, then by source name so ordering is stable.
+ */
+const QUALITY_SCORES = {
+    [QUALITY.UHD]: 50,
+    [QUALITY.QHD]: 45,
+    [QUALITY.FHD]: 40,
+    [QUALITY.HD]: 30,
+    [QUALITY.SD]: 20,
+    [QUALITY.UNKNOWN]: 15,
+    [QUALITY.LD]: 10,
+    [QUALITY.CAM]: 0
+};
+
+// Query parameters that change per request without changing the media
+const VOLATILE_PARAMS = ['token', 'expires', 'expiry', 'e', 'st', 'sig', 'signature', 'hash', 't', 'ts', 'timestamp', '_', 'cb'];
+
+/**
+ * Shared normalization, deduplication, ranking and formatting of streams
+ * Scraped and torrent streams both go through here before reaching Stremio
+ */
+class StreamPipeline {
+    constructor(options = {}) {
+        this.addonName = options.addonName || 'Ultimate Stream';
+    }
+
+    /**
+     * Run the full pipeline over raw streams
+     * @param {Array} streams - Raw stream objects from scrapers and torrent sources
+     * @param {Object} options - { limit, minQuality, languages }
+     * @returns {Array} Stremio stream objects, best first
+     */
+    process(streams, options = {}) {
+        const normalized = streams
+            .map(stream => this.normalize(stream))
+            .filter(stream => this.meetsMinQuality(stream, options.minQuality));
+        const ranked = this.rank(this.deduplicate(normalized, options), options);
+        const limited = options.limit ? ranked.slice(0, options.limit) : ranked;
+        return limited.map(stream => this.toStremioStream(stream));
+    }
+
+    /**
+     * Check a normalized stream against a minimum quality
+     * Streams of unknown quality are kept since they may well be good enough
+     * @param {Object} stream - Normalized stream
+     * @param {string} minQuality - Minimum QUALITY value, or null for no minimum
+     * @returns {boolean}
+     */
+    meetsMinQuality(stream, minQuality) {
+        if (!minQuality || stream.quality === QUALITY.UNKNOWN) {
+            return true;
+        }
+
+        const order = Object.values(QUALITY);
+        return order.indexOf(stream.quality) <= order.indexOf(minQuality);
+    }
+
+    /**
+     * Normalize a raw stream: canonical quality and torrent detection
+     * @param {Object} stream - Raw stream object
+     * @returns {Object} Normalized stream
+     */
+    normalize(stream) {
+        return {
+            ...stream,
+            quality: this.normalizeQuality(stream.quality, stream.torrentTitle, stream.title, stream.url),
+            isTorrent: stream.type === 'torrent' || Boolean(stream.infoHash),
+            subtitles: stream.subtitles || []
+        };
+    }
+
+    /**
+     * Map free-form quality hints to a canonical QUALITY value
+     * @param {...string} hints - Quality strings, titles or URLs, most specific first
+     * @returns {string} Canonical quality
+     */
+    normalizeQuality(...hints) {
+        for (const hint of hints) {
+            if (!hint) continue;
+
+            const match = QUALITY_PATTERNS.find(({ pattern }) => pattern.test(hint));
+            if (match) {
+                return match.quality;
+            }
+        }
+
+        return QUALITY.UNKNOWN;
+    }
+
+    /**
+     * Remove identical and near-identical streams
+     * Torrents are keyed by info hash, HTTP streams by URL without volatile
+     * query parameters; the better-scored duplicate survives and inherits
+     * the other one's subtitles
+     * @param {Array} streams - Normalized streams
+     * @param {Object} options - Scoring options, see score()
+     * @returns {Array} Deduplicated streams
+     */
+    deduplicate(streams, options = {}) {
+        const byKey = new Map();
+
+        for (const stream of streams) {
+            const key = this.getDedupKey(stream);
+            if (!key) continue;
+
+            const existing = byKey.get(key);
+            if (!existing) {
+                byKey.set(key, stream);
+                continue;
+            }
+
+            const [keep, drop] = this.score(stream, options) > this.score(existing, options) ? [stream, existing] : [existing, stream];
+            const subtitleUrls = new Set(keep.subtitles.map(subtitle => subtitle.url));
+            byKey.set(key, {
+                ...keep,
+                subtitles: [...keep.subtitles, ...drop.subtitles.filter(subtitle => !subtitleUrls.has(subtitle.url))]
+            });
+        }
+
+        return [...byKey.values()];
+    }
+
+    /**
+     * Build the deduplication key for a stream
+     * @param {Object} stream - Normalized stream
+     * @returns {string} Key or null if the stream has nothing playable
+     */
+    getDedupKey(stream) {
+        if (stream.infoHash) {
+            return `torrent:${stream.infoHash.toLowerCase()}`;
+        }
+
+        if (!stream.url) {
+            return null;
+        }
+
+        try {
+            const url = new URL(stream.url);
+            const params = [...url.searchParams.entries()]
+                .filter(([name]) => !VOLATILE_PARAMS.includes(name.toLowerCase()))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, value]) => `${name}=${value}`)
+                .join('&');
+            const host = url.hostname.toLowerCase().replace(/^www\./, '');
+            const pathname = url.pathname.replace(/\/+$/, '');
+
+            return `url:${host}${pathname}${params ? `?${params}` : ''}`;
+        } catch (error) {
+            return `url:${stream.url}`;
+        }
+    }
+
+    /**
+     * Score a normalized stream according to the documented scoring model
+     * @param {Object} stream - Normalized stream
+     * @param {Object} options - { languages: preferred language codes }
+     * @returns {number} Score
+     */
+    score(stream, options = {}) {
+        let score = QUALITY_SCORES[stream.quality] ?? QUALITY_SCORES[QUALITY.UNKNOWN];
+
+        if (stream.isTorrent) {
+            const seeders = stream.seeders || 0;
+            score += seeders > 0 ? Math.min(15, 5 * Math.log10(seeders + 1)) : -20;
+        } else {
+            score += 10;
+        }
+
+        if (stream.behaviorHints && stream.behaviorHints.notWebReady) {
+            score -= 5;
+        }
+
+        if (stream.subtitles.length > 0) {
+            score += 3;
+        }
+
+        if (stream.language && (options.languages || []).includes(stream.language.toLowerCase())) {
+            score += 8;
+        }
+
+        if (stream.uncertainMatch) {
+            score -= 10;
+        }
+
+        return score;
+    }
+
+    /**
+     * Sort streams best first
+     * @param {Array} streams - Normalized streams
+     * @param {Object} options - Scoring options, see score()
+     * @returns {Array} Ranked streams
+     */
+    rank(streams, options = {}) {
+        const qualityOrder = Object.values(QUALITY);
+
+        return streams
+            .map(stream => ({ stream, score: this.score(stream, options) }))
+            .sort((a, b) =>
+                b.score - a.score ||
+                qualityOrder.indexOf(a.stream.quality) - qualityOrder.indexOf(b.stream.quality) ||
+                String(a.stream.source || '').localeCompare(String(b.stream.source || ''))
+            )
+            .map(({ stream }) => stream);
+    }
+
+    /**
+     * Format a normalized stream for Stremio
+     * @param {Object} stream - Normalized stream
+     * @returns {Object} Stremio stream object
+     */
+    toStremioStream(stream) {
+        const details = [
+            // The release name is what tells torrents of the same quality apart
+            stream.isTorrent ? stream.torrentTitle : null,
+            [stream.source, stream.server].filter(Boolean).join(' · '),
+            [stream.size, stream.isTorrent ? `Seeds: ${stream.seeders || 0}` : null, stream.language].filter(Boolean).join(' · '),
+            stream.qualityNote && !stream.isTorrent ? stream.qualityNote : null,
+            stream.uncertainMatch ? `Uncertain match (${Math.round((stream.matchScore || 0) * 100)}%)` : null
+        ].filter(Boolean);
+
+        const result = {
+            name: `${this.addonName}\n${stream.quality}`,
+            title: details.join('\n') || stream.title,
+            behaviorHints: {
+                notWebReady: Boolean(stream.behaviorHints && stream.behaviorHints.notWebReady),
+                bingeGroup: (stream.behaviorHints && stream.behaviorHints.bingeGroup) ||
+                    `ultimate-${String(stream.source || 'stream').toLowerCase()}-${stream.quality}`
+            }
+        };
+
+        // Stremio streams torrents natively from the info hash
+        if (stream.infoHash) {
+            result.infoHash = stream.infoHash.toLowerCase();
+            if (stream.trackers && stream.trackers.length > 0) {
+                result.sources = stream.trackers.map(tracker => `tracker:${tracker}`);
+            }
+        } else {
+            result.url = stream.url;
+
+            // Stremio's streaming server sends the headers the host insists on
+            if (stream.headers) {
+                result.behaviorHints.notWebReady = true;
+                result.behaviorHints.proxyHeaders = { request: stream.headers };
+            }
+        }
+
+        if (stream.subtitles.length > 0) {
+            result.subtitles = stream.subtitles.map(subtitle => ({
+                id: subtitle.id || subtitle.url,
+                url: subtitle.url,
+                lang: subtitle.lang || subtitle.language || 'und'
+            }));
+        }
+
+        return result;
+    }
+}
+
+module.exports = StreamPipeline;
+module.exports.QUALITY = QUALITY;
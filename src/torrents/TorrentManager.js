@@ -1,4 +1,12 @@
 const cheerio = require('cheerio');
+const StreamRequest = require('../utils/StreamRequest');
+const MetadataResolver = require('../metadata/MetadataResolver');
+const TaskRunner = require('../utils/TaskRunner');
+const SingleFlight = require('../utils/SingleFlight');
+const StreamPipeline = require('../streams/StreamPipeline');
+const config = require('../utils/Config');
+const { httpClient } = require('../utils/HttpClient');
+const { proxyPools } = require('../utils/ProxyPool');
 // const parseTorrent = require('parse-torrent'); // Commented out due to compatibility issues
 // const magnet = require('magnet-uri'); // Commented out due to compatibility issues
 
@@ -6,21 +14,31 @@ const cheerio = require('cheerio');
  * Manages torrent-based streaming sources as fallback
  */
 class TorrentManager {
-    constructor() {
+    constructor(options = {}) {
+        this.metadataResolver = options.metadataResolver || new MetadataResolver();
+        this.taskRunner = options.taskRunner || new TaskRunner();
+        this.streamPipeline = options.streamPipeline || new StreamPipeline();
+        this.singleFlight = new SingleFlight('TorrentManager');
+        
         this.torrentSources = [
             {
+                key: 'eztv',
                 name: 'EZTV',
                 baseUrl: 'https://eztvx.to',
                 searchUrl: 'https://eztvx.to/search',
-                enabled: true
+                enabled: true,
+                // EZTV bans bursts of searches, keep it to one request at a time
+                limits: { maxConcurrent: 1, minInterval: 2000 }
             },
             {
+                key: 'ext',
                 name: 'ExtraTorrent',
                 baseUrl: 'https://ext.to',
                 searchUrl: 'https://ext.to/search',
                 enabled: true
             },
             {
+                key: 'watchsomuch',
                 name: 'WatchSoMuch',
                 baseUrl: 'https://watchsomuch.to',
                 searchUrl: 'https://watchsomuch.to/search',
@@ -28,65 +46,84 @@ class TorrentManager {
             }
         ];
         
-        this.timeout = 30000; // 30 seconds timeout
+        this.timeout = config.get('http.timeout'); // per request, HTTP_TIMEOUT
         console.log(`TorrentManager initialized with ${this.torrentSources.length} sources`);
     }
     
     /**
      * Get streams from torrent sources
-     * @param {string} id - Content ID
-     * @param {string} type - Content type (movie/series)
+     * @param {StreamRequest|string} request - Parsed stream request or raw content ID
+     * @param {string} type - Content type (movie/series), only used with a raw ID
      * @returns {Array} Array of torrent stream objects
      */
-    async getStreams(id, type) {
-        console.log(`TorrentManager: Getting torrent streams for ${id} (${type})`);
+    async getStreams(request, type = 'movie') {
+        const { streams } = await this.collectStreams(request, type);
+        return streams;
+    }
+    
+    /**
+     * Get streams from all enabled torrent sources concurrently
+     * Every source runs under its own timeout and the request deadline,
+     * concurrent identical requests share a single lookup
+     * @param {StreamRequest|string} request - Parsed stream request or raw content ID
+     * @param {string} type - Content type (movie/series), only used with a raw ID
+     * @returns {Object} { streams, report: { completed, failed, timedOut, durationMs } }
+     */
+    async collectStreams(request, type = 'movie') {
+        if (typeof request === 'string') {
+            request = StreamRequest.parse(type, request);
+        }
+        
+        return this.singleFlight.do(request.toString(), () => this.fetchStreams(request));
+    }
+    
+    /**
+     * Run the actual torrent source lookups for collectStreams()
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {Object} { streams, report }
+     */
+    async fetchStreams(request) {
+        console.log(`TorrentManager: Getting torrent streams for ${request.id} (${request.type})`);
         
         // Extract search query from ID or use fallback
-        const searchQuery = this.extractSearchQuery(id);
+        const searchQuery = await this.extractSearchQuery(request);
         if (!searchQuery) {
             console.log('TorrentManager: Could not extract search query from ID');
-            return [];
+            return { streams: [], report: { completed: [], failed: [], timedOut: [], durationMs: 0 } };
         }
         
-        const allStreams = [];
-        const enabledSources = this.torrentSources.filter(source => source.enabled);
+        const enabledSources = this.getEnabledSources(request.userConfig);
         
         // Search across all torrent sources in parallel
-        const searchPromises = enabledSources.map(async (source) => {
-            try {
-                const streams = await this.searchTorrentSource(source, searchQuery, type);
-                return streams.map(stream => ({
-                    ...stream,
-                    source: `${source.name} (Torrent)`
-                }));
-            } catch (error) {
-                console.error(`TorrentManager: Error searching ${source.name}:`, error);
-                return [];
+        const tasks = enabledSources.map(source => ({
+            name: source.name,
+            run: async () => {
+                const streams = await this.searchTorrentSource(source, searchQuery, request.type);
+                return streams
+                    .filter(stream => this.matchesRequest(stream.torrentTitle, request))
+                    .map(stream => ({
+                        ...stream,
+                        source: `${source.name} (Torrent)`
+                    }));
             }
-        });
-        
-        const results = await Promise.all(searchPromises);
+        }));
         
-        // Combine results
-        for (const sourceStreams of results) {
-            allStreams.push(...sourceStreams);
+        const { results, report } = await this.taskRunner.run(tasks, { deadline: request.deadline });
+        if (report.timedOut.length > 0) {
+            console.log(`TorrentManager: Timed out waiting for ${report.timedOut.join(', ')}`);
         }
         
-        // Sort by seeders and quality
-        const sortedStreams = allStreams.sort((a, b) => {
-            // Prefer higher seeders
-            if (a.seeders && b.seeders) {
-                return b.seeders - a.seeders;
-            }
-            // Prefer better quality
-            const qualityOrder = { '2160p': 4, '1080p': 3, '720p': 2, '480p': 1 };
-            const aQuality = qualityOrder[a.quality] || 0;
-            const bQuality = qualityOrder[b.quality] || 0;
-            return bQuality - aQuality;
-        });
+        // Combine results and keep the best ones according to the shared scoring model
+        const allStreams = results.flatMap(result => result.value);
+        const rankedStreams = this.streamPipeline.rank(
+            allStreams.map(stream => this.streamPipeline.normalize(stream))
+        );
         
-        console.log(`TorrentManager: Found ${sortedStreams.length} torrent streams`);
-        return sortedStreams.slice(0, 10); // Limit to top 10 results
+        console.log(`TorrentManager: Found ${rankedStreams.length} torrent streams`);
+        return {
+            streams: rankedStreams.slice(0, config.get('torrents.maxResults')),
+            report
+        };
     }
     
     /**
@@ -103,11 +140,10 @@ class TorrentManager {
             // Construct search URL
             const searchUrl = `${source.searchUrl}?q=${encodeURIComponent(query)}`;
             
-            const response = await this.makeRequest(searchUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
+            const response = await this.makeRequest(searchUrl, {
+                limits: this.getSourceLimits(source),
+                proxyPool: proxyPools.get(source.key)
+            });
             const html = await response.text();
             
             // Parse results based on source
@@ -326,8 +362,10 @@ class TorrentManager {
             language: language,
             
             // Torrent-specific metadata
+            torrentTitle: data.title,
             infoHash: infoHash,
             magnetUri: data.magnetLink,
+            trackers: trackers,
             seeders: data.seeders,
             leechers: data.leechers,
             size: data.size,
@@ -366,17 +404,126 @@ class TorrentManager {
     }
     
     /**
-     * Extract search query from content ID
-     * @param {string} id - Content ID
+     * Check whether a torrent title matches the requested movie or episode
+     * Series requests accept the exact episode or a season pack containing it,
+     * movie requests reject anything that looks like an episode release
+     * @param {string} title - Torrent title
+     * @param {StreamRequest} request - Parsed stream request
+     * @returns {boolean} True if the torrent is relevant for the request
+     */
+    matchesRequest(title, request) {
+        const info = this.parseEpisodeInfo(title);
+        
+        if (request.type !== 'series') {
+            return !info;
+        }
+        
+        if (!request.isEpisode()) {
+            return true;
+        }
+        
+        if (!info) {
+            return false;
+        }
+        
+        if (info.completeSeries) {
+            return true;
+        }
+        
+        if (!info.seasons.includes(request.season)) {
+            return false;
+        }
+        
+        // Season packs carry no episode numbers and contain every episode
+        return info.episodes.length === 0 || info.episodes.includes(request.episode);
+    }
+    
+    /**
+     * Extract season and episode numbers from a release title
+     * Understands S02E05, S02E05E06, S02E05-E07, 2x05, S02, S01-S03,
+     * "Season 2" and "Complete Series" naming
+     * @param {string} title - Torrent title
+     * @returns {Object} { seasons, episodes, completeSeries } or null if none found
+     */
+    parseEpisodeInfo(title) {
+        if (!title) return null;
+        
+        const range = (from, to) => {
+            const values = [];
+            for (let value = from; value <= to; value++) values.push(value);
+            return values;
+        };
+        
+        // S02E05, S02E05E06, S02E05-E07, S02E05-07
+        const episodeMatch = title.match(/\bS(\d{1,2})[ ._-]?E(\d{1,3})((?:[ ._-]?E\d{1,3}|-E?\d{1,3})*)\b/i);
+        if (episodeMatch) {
+            const first = parseInt(episodeMatch[2]);
+            const rest = (episodeMatch[3].match(/\d{1,3}/g) || []).map(n => parseInt(n));
+            const last = rest.length > 0 ? Math.max(...rest) : first;
+            return {
+                seasons: [parseInt(episodeMatch[1])],
+                episodes: /-/.test(episodeMatch[3]) ? range(first, last) : [first, ...rest],
+                completeSeries: false
+            };
+        }
+        
+        // 2x05
+        const crossMatch = title.match(/\b(\d{1,2})x(\d{1,3})\b/i);
+        if (crossMatch) {
+            return {
+                seasons: [parseInt(crossMatch[1])],
+                episodes: [parseInt(crossMatch[2])],
+                completeSeries: false
+            };
+        }
+        
+        // S01-S03, Season 1-3
+        const seasonRangeMatch = title.match(/\b(?:S|Seasons?[ ._]?)(\d{1,2})[ ._]?-[ ._]?S?(\d{1,2})\b/i);
+        if (seasonRangeMatch) {
+            return {
+                seasons: range(parseInt(seasonRangeMatch[1]), parseInt(seasonRangeMatch[2])),
+                episodes: [],
+                completeSeries: false
+            };
+        }
+        
+        // S02, Season 2
+        const seasonMatch = title.match(/\b(?:S|Season[ ._]?)(\d{1,2})\b/i);
+        if (seasonMatch) {
+            return {
+                seasons: [parseInt(seasonMatch[1])],
+                episodes: [],
+                completeSeries: false
+            };
+        }
+        
+        if (/\bcomplete[ ._](?:series|collection)\b/i.test(title)) {
+            return { seasons: [], episodes: [], completeSeries: true };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Extract search query from a stream request
+     * Series queries use the bare title so season packs are found too,
+     * matchesRequest() narrows the results down to the episode
+     * @param {StreamRequest} request - Parsed stream request
      * @returns {string} Search query or null
      */
-    extractSearchQuery(id) {
-        // This is a simplified implementation
-        // In a real scenario, you'd need to map IDs to proper search queries
+    async extractSearchQuery(request) {
+        const id = request.id;
         
-        if (id.startsWith('tt')) {
-            // IMDB ID - would need to resolve to title
-            return null; // TODO: Implement IMDB ID resolution
+        if (request.imdbId) {
+            const metadata = await this.metadataResolver.resolve(request.imdbId, request.type);
+            if (!metadata) {
+                return null;
+            }
+            
+            if (request.type === 'series' || !metadata.year) {
+                return metadata.title;
+            }
+            return `${metadata.title} ${metadata.year}`;
         }
         
         if (id.startsWith('scraped:')) {
@@ -445,31 +592,29 @@ class TorrentManager {
     }
     
     /**
-     * Make HTTP request with proper headers
+     * Get the per-host request limits of a torrent source, SOURCE_LIMITS overriding built-in ones
+     * @param {Object} source - Torrent source configuration
+     * @returns {Object} { maxConcurrent, minInterval, maxQueue }
+     */
+    getSourceLimits(source) {
+        const overrides = (config.get('http.sourceLimits') || {})[source.key];
+        return { ...(source.limits || {}), ...(overrides || {}) };
+    }
+    
+    /**
+     * Make HTTP request through the shared HTTP client
      * @param {string} url - URL to fetch
-     * @param {Object} options - Request options
-     * @returns {Object} Response object
+     * @param {Object} options - Request options, see HttpClient.request()
+     * @returns {Object} fetch-like response object
      */
     async makeRequest(url, options = {}) {
-        const fetch = require('node-fetch');
-        
-        const defaultHeaders = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive'
-        };
-        
-        const requestOptions = {
-            timeout: this.timeout,
-            headers: { ...defaultHeaders, ...(options.headers || {}) },
-            ...options
-        };
-        
         try {
-            const response = await fetch(url, requestOptions);
-            return response;
+            return await httpClient.request(url, {
+                timeout: this.timeout,
+                // Dropped from the host queues once the source's task timed out
+                signal: TaskRunner.currentSignal(),
+                ...options
+            });
         } catch (error) {
             console.error(`TorrentManager: Request failed for ${url}:`, error.message);
             throw error;
@@ -506,6 +651,29 @@ class TorrentManager {
         };
     }
     
+    /**
+     * Get enabled torrent sources
+     * @param {UserConfig} userConfig - Optional per-user settings narrowing the selection
+     * @returns {Array} Enabled source configurations
+     */
+    getEnabledSources(userConfig = null) {
+        return this.torrentSources.filter(source =>
+            source.enabled && (!userConfig || userConfig.isTorrentSourceEnabled(source.key))
+        );
+    }
+    
+    /**
+     * Get all torrent sources with their selection keys
+     * @returns {Array} Array of { key, name, enabled }
+     */
+    getSources() {
+        return this.torrentSources.map(source => ({
+            key: source.key,
+            name: source.name,
+            enabled: source.enabled
+        }));
+    }
+    
     /**
      * Get torrent source statistics
      * @returns {Object} Statistics object
@@ -514,6 +682,7 @@ class TorrentManager {
         return {
             totalSources: this.torrentSources.length,
             enabledSources: this.torrentSources.filter(s => s.enabled).length,
+            coalescing: this.singleFlight.getStats(),
             sources: this.torrentSources.map(source => ({
                 name: source.name,
                 enabled: source.enabled,
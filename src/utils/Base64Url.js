@@ -0,0 +1,44 @@
+// Characters of unpadded base64url
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+/**
+ * Encode as base64url without padding (RFC 4648 section 5)
+ * Written by hand because Buffer only knows the 'base64url' encoding from Node 14.18
+ * @param {Buffer|string} data - Data, strings are read as UTF-8
+ * @returns {string} base64url text
+ */
+function encode(data) {
+    return Buffer.from(data).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url, padded or not
+ * @param {string} encoded - base64url text
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the text has characters outside the base64url alphabet
+ */
+function decode(encoded) {
+    const unpadded = String(encoded).replace(/=+$/, '');
+    if (!BASE64URL_PATTERN.test(unpadded) || unpadded.length % 4 === 1) {
+        throw new Error('Not base64url-encoded');
+    }
+    return Buffer.from(unpadded.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Whether text only uses the base64url alphabet
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+function isBase64Url(text) {
+    return typeof text === 'string' && BASE64URL_PATTERN.test(text.replace(/=+$/, ''));
+}
+
+module.exports = {
+    encode,
+    decode,
+    isBase64Url
+};
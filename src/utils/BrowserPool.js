@@ -0,0 +1,410 @@
+const config = require('./Config');
+const { createBrowserProvider } = require('./BrowserProvider');
+
+// Page events callers subscribe to, dropped before a page is handed out again
+const PAGE_EVENTS = [
+    'request', 'response', 'requestfinished', 'requestfailed', 'console',
+    'dialog', 'popup', 'framenavigated', 'load', 'domcontentloaded', 'pageerror'
+];
+
+/**
+ * Shared pool of headless Chromium browsers
+ * Scrapers borrow pages instead of opening a browser per call. At most
+ * maxBrowsers browsers run, each with at most maxPages pages; callers beyond
+ * that wait up to acquireTimeout for a page to come back. Every page lives in
+ * its own browser context, so cookies and storage never leak between owners
+ * (scraper keys); a returned page is reset and kept for the next lease of the
+ * same owner. Browsers are opened per proxy, close after idleTimeout without
+ * leases and are replaced when they crash or lose their connection. Where
+ * browsers come from is up to the provider: launched locally, or a remote
+ * browser at BROWSER_WS_ENDPOINT on serverless platforms.
+ *
+ * PUPPETEER_ENABLED=false disables the pool, and with it every browser use;
+ * so does a provider that cannot work in this environment.
+ */
+class BrowserPool {
+    constructor(options = {}) {
+        this.provider = options.provider || createBrowserProvider(options);
+        this.enabled = options.enabled !== undefined ? options.enabled : config.get('scrapers.puppeteerEnabled');
+        if (this.enabled && !this.provider.available) {
+            console.warn(`BrowserPool: Browsers disabled, ${this.provider.unavailableReason}`);
+            this.enabled = false;
+        }
+        this.maxBrowsers = options.maxBrowsers || config.get('browser.maxBrowsers');
+        this.maxPages = options.maxPages || config.get('browser.maxPages');
+        this.idleTimeout = options.idleTimeout || config.get('browser.idleTimeout');
+        this.acquireTimeout = options.acquireTimeout || config.get('browser.acquireTimeout');
+
+        this.browsers = [];
+        this.waiters = [];
+        this.nextId = 1;
+        this.stats = {
+            opened: 0,
+            crashes: 0,
+            leases: 0,
+            reused: 0,
+            timeouts: 0,
+            idleClosed: 0
+        };
+    }
+
+    /**
+     * Run a function with a pooled page, returning the page however it ends
+     * A browser crashing under the function is replaced and the function run
+     * once more on a fresh page.
+     * @param {Object} options - { owner (scraper key), proxy ({ arg, credentials } from ProxyPool.getBrowserOptions) }
+     * @param {Function} fn - Async function receiving the page
+     * @returns {Promise} Result of fn
+     * @throws {Error} If the pool is disabled, no page frees up in time or fn fails
+     */
+    async withPage(options, fn) {
+        for (let attempt = 1; ; attempt++) {
+            const lease = await this.acquire(options);
+            try {
+                return await fn(lease.page);
+            } catch (error) {
+                if (attempt > 1 || !this.isCrashed(lease)) {
+                    throw error;
+                }
+                console.warn(`BrowserPool: Browser crashed under ${lease.owner}, retrying on a fresh page:`, error.message);
+            } finally {
+                await this.release(lease);
+            }
+        }
+    }
+
+    /**
+     * Borrow a page; it must be handed back with release()
+     * @param {Object} options - See withPage()
+     * @returns {Object} Lease { page, owner }
+     * @throws {Error} If the pool is disabled, or with code EPOOLTIMEOUT when no page frees up in time
+     */
+    async acquire(options = {}) {
+        if (!this.enabled) {
+            throw new Error('Browser pool is disabled (PUPPETEER_ENABLED=false)');
+        }
+
+        const owner = options.owner || 'default';
+        const proxy = options.proxy || null;
+        const deadline = Date.now() + this.acquireTimeout;
+
+        let slot = this.reserve(owner, proxy);
+        while (!slot) {
+            await this.waitForSlot(deadline);
+            slot = this.reserve(owner, proxy);
+        }
+
+        const { entry, idle } = slot;
+        const lease = { entry, owner, page: null, context: null, crashed: false };
+        this.stats.leases++;
+
+        try {
+            if (idle) {
+                this.stats.reused++;
+                lease.context = idle.context;
+                lease.page = idle.page;
+            } else {
+                const browser = await entry.ready;
+                lease.context = await browser.createBrowserContext();
+                lease.page = await lease.context.newPage();
+                if (proxy && proxy.credentials) {
+                    await lease.page.authenticate(proxy.credentials);
+                }
+            }
+            lease.page.on('error', () => {
+                lease.crashed = true;
+            });
+            return lease;
+        } catch (error) {
+            await this.release(lease);
+            throw error;
+        }
+    }
+
+    /**
+     * Hand a page back; it is reset and kept for its owner, or closed if it is unusable
+     * @param {Object} lease - Lease from acquire()
+     */
+    async release(lease) {
+        const { entry } = lease;
+        let kept = false;
+
+        if (lease.page && !lease.crashed && !entry.closing && entry.browser && entry.browser.connected) {
+            kept = await this.resetPage(lease.page);
+        }
+
+        if (kept && !entry.closing) {
+            entry.idle.push({ owner: lease.owner, context: lease.context, page: lease.page });
+        } else if (lease.context) {
+            await lease.context.close().catch(() => {});
+        }
+
+        entry.active--;
+        entry.lastUsed = Date.now();
+        if (entry.active === 0 && !entry.closing) {
+            this.scheduleIdleClose(entry);
+        }
+        this.notify();
+    }
+
+    /**
+     * Find a page slot without waiting
+     * Prefers a kept page of the same owner, then a free slot in a running
+     * browser for the proxy, then a kept page of another owner to replace,
+     * then a new browser, replacing an unused browser of another proxy if needed.
+     * @param {string} owner - Owner key
+     * @param {Object} proxy - Browser proxy options, or null
+     * @returns {Object} { entry, idle } with the slot counted as active, or null if everything is busy
+     */
+    reserve(owner, proxy) {
+        const profile = proxy ? proxy.arg : 'direct';
+        const candidates = this.browsers.filter(entry => entry.profile === profile && !entry.closing);
+
+        for (const entry of candidates) {
+            const index = entry.idle.findIndex(idle => idle.owner === owner);
+            if (index !== -1) {
+                return this.take(entry, entry.idle.splice(index, 1)[0]);
+            }
+        }
+
+        const free = candidates.find(entry => entry.active + entry.idle.length < this.maxPages);
+        if (free) {
+            return this.take(free, null);
+        }
+
+        const replaceable = candidates.find(entry => entry.idle.length > 0);
+        if (replaceable) {
+            const idle = replaceable.idle.shift();
+            idle.context.close().catch(() => {});
+            return this.take(replaceable, null);
+        }
+
+        if (this.browsers.length >= this.maxBrowsers) {
+            const unused = this.browsers.find(entry => entry.active === 0 && !entry.closing);
+            if (!unused) {
+                return null;
+            }
+            this.closeBrowser(unused);
+        }
+
+        return this.take(this.open(profile, proxy), null);
+    }
+
+    /**
+     * Count a slot of a browser as leased
+     * @param {Object} entry - Browser entry
+     * @param {Object} idle - Kept page taken over, or null
+     * @returns {Object} { entry, idle }
+     */
+    take(entry, idle) {
+        entry.active++;
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+        return { entry, idle };
+    }
+
+    /**
+     * Open a browser through the provider and add it to the pool
+     * @param {string} profile - Proxy launch argument, or "direct"
+     * @param {Object} proxy - Browser proxy options, or null
+     * @returns {Object} Browser entry, its browser resolves through entry.ready
+     */
+    open(profile, proxy) {
+        const entry = {
+            id: this.nextId++,
+            profile,
+            browser: null,
+            ready: null,
+            active: 0,
+            idle: [],
+            closing: false,
+            idleTimer: null,
+            openedAt: Date.now(),
+            lastUsed: Date.now()
+        };
+
+        this.stats.opened++;
+        console.log(`BrowserPool: Opening ${this.provider.name} browser ${entry.id}${proxy ? ` (${proxy.arg})` : ''}`);
+
+        entry.ready = this.provider.open(proxy).then(browser => {
+            entry.browser = browser;
+            browser.on('disconnected', () => this.onDisconnected(entry));
+            if (entry.closing) {
+                this.provider.close(browser).catch(() => {});
+            }
+            return browser;
+        }, error => {
+            console.error(`BrowserPool: Failed to open browser ${entry.id}:`, error.message);
+            entry.closing = true;
+            this.remove(entry);
+            throw error;
+        });
+        // Leases waiting on the browser see the error; nobody waiting must not make it unhandled
+        entry.ready.catch(() => {});
+
+        this.browsers.push(entry);
+        return entry;
+    }
+
+    /**
+     * Drop a browser that went away, closed by us or crashed
+     * @param {Object} entry - Browser entry
+     */
+    onDisconnected(entry) {
+        if (!entry.closing) {
+            this.stats.crashes++;
+            console.warn(`BrowserPool: Browser ${entry.id} disconnected with ${entry.active} pages in use, replacing it`);
+        }
+        entry.closing = true;
+        entry.idle = [];
+        this.remove(entry);
+    }
+
+    /**
+     * Close a browser and everything in it; leases still running on it fail
+     * @param {Object} entry - Browser entry
+     */
+    closeBrowser(entry) {
+        entry.closing = true;
+        entry.idle = [];
+        clearTimeout(entry.idleTimer);
+        this.remove(entry);
+
+        if (entry.browser) {
+            this.provider.close(entry.browser).catch(error => {
+                console.error(`BrowserPool: Failed to close browser ${entry.id}:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * Remove a browser from the pool, freeing its slots for waiting callers
+     * @param {Object} entry - Browser entry
+     */
+    remove(entry) {
+        const index = this.browsers.indexOf(entry);
+        if (index !== -1) {
+            this.browsers.splice(index, 1);
+            this.notify();
+        }
+    }
+
+    /**
+     * Close a browser once it has gone unused for idleTimeout
+     * @param {Object} entry - Browser entry
+     */
+    scheduleIdleClose(entry) {
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = setTimeout(() => {
+            if (entry.active === 0 && !entry.closing) {
+                this.stats.idleClosed++;
+                console.log(`BrowserPool: Closing browser ${entry.id}, idle for ${this.idleTimeout}ms`);
+                this.closeBrowser(entry);
+            }
+        }, this.idleTimeout);
+        entry.idleTimer.unref();
+    }
+
+    /**
+     * Clear what a lease left on a page so it can be handed out again
+     * @param {Object} page - Puppeteer page
+     * @returns {boolean} Whether the page is clean; unusable pages are closed instead
+     */
+    async resetPage(page) {
+        try {
+            for (const event of PAGE_EVENTS) {
+                page.removeAllListeners(event);
+            }
+            page.removeAllListeners('error');
+            await page.setRequestInterception(false);
+            await page.goto('about:blank', { timeout: 5000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a lease failed because its page or browser crashed
+     * @param {Object} lease - Lease
+     * @returns {boolean}
+     */
+    isCrashed(lease) {
+        return lease.crashed || Boolean(lease.entry.browser && !lease.entry.browser.connected);
+    }
+
+    /**
+     * Wait until a page may have freed up
+     * @param {number} deadline - Time to give up at
+     * @throws {Error} With code EPOOLTIMEOUT once the deadline passes
+     */
+    waitForSlot(deadline) {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                this.stats.timeouts++;
+                const error = new Error(`No browser page free within ${this.acquireTimeout}ms`);
+                error.code = 'EPOOLTIMEOUT';
+                reject(error);
+            }, Math.max(0, deadline - Date.now()));
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Let waiting callers try again, in the order they arrived
+     */
+    notify() {
+        const waiters = this.waiters.splice(0);
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+        }
+    }
+
+    /**
+     * Close every browser, e.g. when the process shuts down
+     */
+    async shutdown() {
+        const entries = [...this.browsers];
+        for (const entry of entries) {
+            this.closeBrowser(entry);
+        }
+        // Browsers still opening are closed as soon as they are up
+        await Promise.all(entries.map(entry => entry.ready.then(browser => this.provider.close(browser)).catch(() => {})));
+    }
+
+    /**
+     * Get pool statistics
+     * @returns {Object} Statistics object with per-browser state
+     */
+    getStats() {
+        const now = Date.now();
+        return {
+            enabled: this.enabled,
+            ...this.provider.getStats(),
+            maxBrowsers: this.maxBrowsers,
+            maxPages: this.maxPages,
+            ...this.stats,
+            waiting: this.waiters.length,
+            browsers: this.browsers.map(entry => ({
+                id: entry.id,
+                proxy: entry.profile === 'direct' ? null : entry.profile.replace('--proxy-server=', ''),
+                connected: Boolean(entry.browser && entry.browser.connected),
+                activePages: entry.active,
+                idlePages: entry.idle.length,
+                uptime: now - entry.openedAt,
+                idleFor: entry.active === 0 ? now - entry.lastUsed : 0
+            }))
+        };
+    }
+}
+
+// Shared pool so all scrapers together stay within the browser limits
+const browserPool = new BrowserPool();
+
+module.exports = {
+    BrowserPool,
+    browserPool
+};
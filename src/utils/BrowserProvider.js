@@ -0,0 +1,202 @@
+const config = require('./Config');
+
+/**
+ * Source of the browsers BrowserPool hands out
+ * A provider opens a connected Puppeteer browser for a proxy and takes it
+ * back when the pool is done with it. Providers that cannot work in the
+ * current environment say so through available/unavailableReason instead of
+ * failing on every page.
+ */
+class BrowserProvider {
+    constructor(name) {
+        this.name = name;
+        this.available = true;
+        this.unavailableReason = null;
+    }
+
+    /**
+     * Open a browser
+     * @param {Object} proxy - { arg, credentials } from ProxyPool.getBrowserOptions, or null
+     * @returns {Promise<Object>} Puppeteer browser
+     */
+    async open(proxy) {
+        throw new Error(`Browser provider ${this.name} cannot open browsers`);
+    }
+
+    /**
+     * Give a browser from open() back
+     * @param {Object} browser - Puppeteer browser
+     */
+    async close(browser) {
+        await browser.close();
+    }
+
+    /**
+     * Mark the provider unusable
+     * @param {string} reason - Why, shown in logs and stats
+     */
+    disable(reason) {
+        this.available = false;
+        this.unavailableReason = reason;
+    }
+
+    /**
+     * Get provider statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            provider: this.name,
+            available: this.available,
+            unavailableReason: this.unavailableReason
+        };
+    }
+}
+
+/**
+ * Launches Chromium on this machine, for servers and containers
+ */
+class LocalBrowserProvider extends BrowserProvider {
+    /**
+     * @param {Object} options - { timeout, protocolTimeout, launchOptions, serverless }
+     */
+    constructor(options = {}) {
+        super('local');
+        this.timeout = options.timeout || config.get('browser.launchTimeout');
+        this.protocolTimeout = options.protocolTimeout || config.get('browser.protocolTimeout');
+        this.launchOptions = options.launchOptions || {};
+
+        // Serverless functions can neither bundle nor start Chromium
+        const serverless = options.serverless !== undefined ? options.serverless : Boolean(process.env.VERCEL);
+        if (serverless) {
+            this.disable('Chromium cannot be launched on serverless platforms, set BROWSER_WS_ENDPOINT');
+        }
+    }
+
+    async open(proxy) {
+        const puppeteer = require('puppeteer');
+        return puppeteer.launch({
+            headless: true,
+            timeout: this.timeout,
+            protocolTimeout: this.protocolTimeout,
+            // BrowserPool closes its browsers itself on shutdown
+            handleSIGINT: false,
+            handleSIGTERM: false,
+            handleSIGHUP: false,
+            ...this.launchOptions,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', ...(proxy ? [proxy.arg] : [])]
+        });
+    }
+}
+
+/**
+ * Connects to a browser running elsewhere through its DevTools WebSocket
+ * endpoint, e.g. a browserless instance, for serverless deployments
+ * Proxies are passed to the endpoint as a --proxy-server query parameter,
+ * which browserless-style services apply to the browser they start. Closing
+ * only disconnects, the remote side decides what happens to its browser.
+ */
+class RemoteBrowserProvider extends BrowserProvider {
+    /**
+     * @param {string} endpoint - ws:// or wss:// endpoint URL
+     * @param {Object} options - { timeout (connect timeout), protocolTimeout }
+     */
+    constructor(endpoint, options = {}) {
+        super('remote');
+        this.timeout = options.timeout || config.get('browser.connectTimeout');
+        this.protocolTimeout = options.protocolTimeout || config.get('browser.protocolTimeout');
+        this.endpoint = null;
+
+        try {
+            const url = new URL(endpoint);
+            if (!['ws:', 'wss:'].includes(url.protocol)) {
+                throw new Error('not a WebSocket URL');
+            }
+            this.endpoint = url;
+        } catch (error) {
+            console.error(`BrowserProvider: Invalid BROWSER_WS_ENDPOINT: ${error.message}`);
+            this.disable('BROWSER_WS_ENDPOINT is not a ws:// or wss:// URL');
+        }
+    }
+
+    /**
+     * Connect to the endpoint, giving up after the connect timeout
+     * @param {Object} proxy - See BrowserProvider.open()
+     * @returns {Promise<Object>} Connected Puppeteer browser
+     * @throws {Error} With code ETIMEDOUT if the endpoint does not answer in time
+     */
+    async open(proxy) {
+        const puppeteer = require('puppeteer');
+        let timedOut = false;
+        let timer = null;
+
+        const connecting = puppeteer.connect({
+            browserWSEndpoint: this.getEndpoint(proxy),
+            protocolTimeout: this.protocolTimeout
+        });
+        // A connection completing after the timeout must not stay open unused
+        connecting.then(browser => {
+            if (timedOut) {
+                browser.disconnect().catch(() => {});
+            }
+        }, () => {});
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                timedOut = true;
+                const error = new Error(`Connecting to ${this.endpoint.host} timed out after ${this.timeout}ms`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, this.timeout);
+        });
+
+        try {
+            return await Promise.race([connecting, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async close(browser) {
+        await browser.disconnect();
+    }
+
+    /**
+     * Endpoint URL for a connection, with the proxy added
+     * @param {Object} proxy - See BrowserProvider.open()
+     * @returns {string} Endpoint URL
+     */
+    getEndpoint(proxy) {
+        const url = new URL(this.endpoint.href);
+        if (proxy) {
+            url.searchParams.append('--proxy-server', proxy.arg.replace('--proxy-server=', ''));
+        }
+        return url.href;
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            // Only the host, endpoints usually carry an API token
+            endpoint: this.endpoint ? this.endpoint.host : null
+        };
+    }
+}
+
+/**
+ * Create the provider the configuration asks for
+ * BROWSER_WS_ENDPOINT selects a remote browser, otherwise Chromium is launched locally.
+ * @param {Object} options - { endpoint } overriding BROWSER_WS_ENDPOINT, plus provider options
+ * @returns {BrowserProvider} Provider
+ */
+function createBrowserProvider(options = {}) {
+    const endpoint = options.endpoint !== undefined ? options.endpoint : config.get('browser.endpoint');
+    return endpoint ? new RemoteBrowserProvider(endpoint, options) : new LocalBrowserProvider(options);
+}
+
+module.exports = {
+    BrowserProvider,
+    LocalBrowserProvider,
+    RemoteBrowserProvider,
+    createBrowserProvider
+};
@@ -1,16 +1,21 @@
 /**
  * Simple in-memory cache manager with TTL support
+ * With maxEntries set the least recently used entries are evicted once the
+ * cache is full, so caches keyed on request input cannot grow without bound.
  * For production, consider using Redis or similar
  */
 class CacheManager {
-    constructor() {
-        this.cache = new Map();
+    constructor(options = {}) {
+        this.cache = new Map();     // insertion order doubles as recency order
         this.timers = new Map();
+        this.maxEntries = options.maxEntries || 0; // 0 = unbounded
+        this.evicted = 0;
         
         // Clean up expired entries every 5 minutes
+        // Unref'd so an idle cache never keeps the process alive
         setInterval(() => {
             this.cleanup();
-        }, 5 * 60 * 1000);
+        }, 5 * 60 * 1000).unref();
     }
     
     /**
@@ -28,6 +33,10 @@ class CacheManager {
             return null;
         }
         
+        // Move to the end, the most recently used position
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        
         return entry.value;
     }
     
@@ -45,15 +54,26 @@ class CacheManager {
             clearTimeout(this.timers.get(key));
         }
         
-        // Set cache entry
+        // Set cache entry, re-inserted so it counts as most recently used
+        this.cache.delete(key);
         this.cache.set(key, { value, expires });
         
         // Set expiration timer
         const timer = setTimeout(() => {
             this.delete(key);
         }, ttl * 1000);
+        timer.unref();
         
         this.timers.set(key, timer);
+        
+        // Evict the least recently used entries beyond the limit
+        if (this.maxEntries > 0) {
+            for (const oldest of this.cache.keys()) {
+                if (this.cache.size <= this.maxEntries) break;
+                this.delete(oldest);
+                this.evicted++;
+            }
+        }
     }
     
     /**
@@ -110,6 +130,8 @@ class CacheManager {
     getStats() {
         return {
             size: this.cache.size,
+            maxEntries: this.maxEntries,
+            evicted: this.evicted,
             keys: Array.from(this.cache.keys())
         };
     }
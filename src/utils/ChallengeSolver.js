@@ -0,0 +1,183 @@
+const config = require('./Config');
+
+// Statuses anti-bot interstitials are served with
+const CHALLENGE_STATUSES = [403, 429, 503];
+
+/**
+ * Known interstitials. Headers and body markers only count together with a
+ * challenge status, except for markers that never appear on real pages
+ * (alwaysMarkers), since some providers serve their challenge with a 200.
+ * Headers are only listed where they alone identify a challenge; a plain
+ * "server: cloudflare" 403 can be a real 403.
+ */
+const PROVIDERS = [
+    {
+        name: 'cloudflare',
+        headers: { 'cf-mitigated': /challenge/i },
+        markers: [/<title>Just a moment\.\.\.<\/title>/i, /Attention Required! \| Cloudflare/i, /cf-browser-verification/i, /\/cdn-cgi\/challenge-platform\//i],
+        alwaysMarkers: [/window\._cf_chl_opt/]
+    },
+    {
+        name: 'ddos-guard',
+        headers: { 'server': /ddos-guard/i },
+        markers: [/DDoS-Guard/i, /check\.ddos-guard\.net/i],
+        alwaysMarkers: [/ddos-guard\.net\/[^"']*js-challenge/i]
+    },
+    {
+        name: 'sucuri',
+        headers: {},
+        markers: [/Sucuri WebSite Firewall/i],
+        alwaysMarkers: [/sucuri_cloudproxy_js/]
+    }
+];
+
+/**
+ * Detect an anti-bot challenge page
+ * @param {number} status - Response status
+ * @param {Object} headers - Response headers (lowercase names)
+ * @param {string} body - Response body
+ * @returns {string} Provider name, or null if the page is no challenge
+ */
+function detectChallenge(status, headers, body) {
+    const text = String(body || '').slice(0, 50000);
+
+    for (const provider of PROVIDERS) {
+        if (provider.alwaysMarkers.some(marker => marker.test(text))) {
+            return provider.name;
+        }
+
+        if (!CHALLENGE_STATUSES.includes(status)) {
+            continue;
+        }
+
+        const headerMatch = Object.entries(provider.headers)
+            .some(([name, pattern]) => headers && headers[name] && pattern.test(String(headers[name])));
+        if (headerMatch || provider.markers.some(marker => marker.test(text))) {
+            return provider.name;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Obtains clearance for anti-bot challenges in a headless browser
+ * The challenge URL is opened in a pooled browser page the scraper provides
+ * (with its proxy and session cookies), the solver waits until the
+ * interstitial is gone and keeps the clearance cookies and the browser's user
+ * agent in the session, which later plain HTTP requests then send. Concurrent
+ * challenges for the same session and host share one browser run.
+ *
+ * Clearance cookies are usually bound to the IP they were issued to, so
+ * sources behind a proxy pool should use sticky rotation.
+ */
+class ChallengeSolver {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled :
+            config.get('challenges.enabled') && config.get('scrapers.puppeteerEnabled');
+        this.timeout = options.timeout || config.get('challenges.timeout');
+        this.pollInterval = options.pollInterval || 1000;
+        this.inFlight = new Map();
+        this.stats = {
+            attempts: 0,
+            solved: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Solve the challenge in front of a URL, or join the run already solving it
+     * @param {string} url - URL that returned the challenge
+     * @param {Object} context - { key (session key), session, withPage(fn) running fn with a browser page }
+     * @returns {Promise} Resolves once clearance is stored in the session
+     * @throws {Error} If solving is disabled or the challenge was not solved in time
+     */
+    solve(url, context) {
+        if (!this.enabled) {
+            return Promise.reject(new Error('Challenge solving is disabled'));
+        }
+
+        const key = `${context.key}:${new URL(url).host}`;
+        if (!this.inFlight.has(key)) {
+            const run = this.run(url, context).finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, run);
+        }
+        return this.inFlight.get(key);
+    }
+
+    /**
+     * Open the URL in a browser and wait for the challenge to clear
+     * @param {string} url - Challenge URL
+     * @param {Object} context - See solve()
+     */
+    async run(url, context) {
+        this.stats.attempts++;
+        console.log(`ChallengeSolver: Solving challenge for ${url}`);
+
+        try {
+            await context.withPage(async page => {
+                // Present the browser's real user agent, minus the headless marker
+                const userAgent = (await page.browser().userAgent()).replace('HeadlessChrome', 'Chrome');
+                await page.setUserAgent(userAgent);
+
+                await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+                await this.waitForClearance(page, Date.now() + this.timeout);
+
+                await context.session.captureFromPage(page);
+                context.session.setUserAgent(userAgent);
+            });
+
+            this.stats.solved++;
+            console.log(`ChallengeSolver: Challenge for ${url} solved`);
+        } catch (error) {
+            this.stats.failed++;
+            console.error(`ChallengeSolver: Failed to solve challenge for ${url}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Poll the page until it no longer shows a challenge
+     * @param {Object} page - Puppeteer page
+     * @param {number} deadline - Time to give up at
+     * @throws {Error} If the deadline passes first
+     */
+    async waitForClearance(page, deadline) {
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+            try {
+                // The page's status is unknown here, judge its markers as if it had a challenge status
+                const html = await page.content();
+                if (!detectChallenge(CHALLENGE_STATUSES[0], {}, html)) {
+                    return;
+                }
+            } catch (error) {
+                // The challenge navigates away when it passes, the next poll sees the result
+            }
+        }
+
+        throw new Error(`Challenge not solved within ${this.timeout}ms`);
+    }
+
+    /**
+     * Get solver statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            ...this.stats,
+            inFlight: this.inFlight.size
+        };
+    }
+}
+
+// Shared solver so concurrent requests never race several browsers at one challenge
+const challengeSolver = new ChallengeSolver();
+
+module.exports = {
+    ChallengeSolver,
+    challengeSolver,
+    detectChallenge
+};
@@ -271,17 +271,22 @@ class ErrorHandler {
      * @param {number} maxAttempts - Maximum retry attempts
      * @param {number} baseDelay - Base delay in milliseconds
      * @param {string} context - Context for logging
+     * @param {Object} options - { shouldRetry(error), jitter (0-1 share of the delay to randomize), maxDelay }
      * @returns {*} Function result
      */
-    async retry(fn, maxAttempts = 3, baseDelay = 1000, context = 'unknown') {
+    async retry(fn, maxAttempts = 3, baseDelay = 1000, context = 'unknown', options = {}) {
         let lastError;
         
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
-                return await fn();
+                return await fn(attempt);
             } catch (error) {
                 lastError = error;
                 
+                if (options.shouldRetry && !options.shouldRetry(error)) {
+                    break;
+                }
+                
                 if (attempt === maxAttempts) {
                     this.logger.error(`Final retry attempt failed for ${context}:`, {
                         attempt,
@@ -291,7 +296,7 @@ class ErrorHandler {
                     break;
                 }
                 
-                const delay = baseDelay * Math.pow(2, attempt - 1);
+                const delay = this.getRetryDelay(baseDelay, attempt, options);
                 this.logger.warn(`Retry attempt ${attempt}/${maxAttempts} failed for ${context}, retrying in ${delay}ms:`, {
                     error: error.message
                 });
@@ -303,6 +308,26 @@ class ErrorHandler {
         throw lastError;
     }
     
+    /**
+     * Exponential backoff delay before the next attempt
+     * With jitter, up to that share of the delay is taken off at random so
+     * callers failing together do not retry in lockstep
+     * @param {number} baseDelay - Base delay in milliseconds
+     * @param {number} attempt - Attempt that just failed, starting at 1
+     * @param {Object} options - { jitter, maxDelay }
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(baseDelay, attempt, options = {}) {
+        let delay = baseDelay * Math.pow(2, attempt - 1);
+        if (options.maxDelay) {
+            delay = Math.min(delay, options.maxDelay);
+        }
+        if (options.jitter) {
+            delay -= delay * options.jitter * Math.random();
+        }
+        return Math.round(delay);
+    }
+    
     /**
      * Sleep for specified milliseconds
      * @param {number} ms - Milliseconds to sleep
@@ -0,0 +1,224 @@
+const config = require('./Config');
+
+/**
+ * Per-host request scheduler
+ * Every outgoing request is queued under its host and started only when the
+ * host has a free connection slot, the minimum interval since the previous
+ * start has passed and no Retry-After pause is in effect. Hosts whose queue
+ * is full reject new requests right away instead of piling them up.
+ *
+ * Limits are { maxConcurrent, minInterval, maxQueue }, maxQueue 0 meaning
+ * unbounded. Callers pass the limits of the scraper or torrent source making
+ * the request, merged over the defaults for that request only: two sources
+ * sharing a host each keep their own limits, and requests without limits
+ * (embed and CDN hosts) get the defaults. The next queued request's limits
+ * decide when it may start.
+ *
+ * Hosts idle for idleTimeout are forgotten so the map does not grow with
+ * every CDN host ever seen.
+ */
+class HostScheduler {
+    constructor(options = {}) {
+        this.defaults = { ...config.get('http.hostLimits'), ...(options.defaults || {}) };
+        this.maxRetryAfter = options.maxRetryAfter || config.get('http.maxRetryAfter');
+        this.idleTimeout = options.idleTimeout || 5 * 60 * 1000;
+        this.hosts = new Map();
+        this.stats = {
+            scheduled: 0,
+            delayed: 0,
+            rejected: 0,
+            pauses: 0,
+            evicted: 0
+        };
+
+        // Unref'd so an idle scheduler never keeps the process alive
+        setInterval(() => this.prune(), this.idleTimeout).unref();
+    }
+
+    /**
+     * Run a request job once its host allows it
+     * @param {string} url - Request URL, its host is the scheduling key
+     * @param {Function} fn - Async job performing the request
+     * @param {Object} limits - { maxConcurrent, minInterval, maxQueue } for this request
+     * @param {AbortSignal} signal - Optional signal removing the job from the queue
+     * @returns {Promise} Job result
+     * @throws {Error} With code EQUEUEFULL when the host queue is full, ERR_CANCELED when aborted while queued
+     */
+    schedule(url, fn, limits = {}, signal = null) {
+        const state = this.getHost(new URL(url).host);
+        const jobLimits = { ...this.defaults, ...this.pickLimits(limits) };
+
+        if (jobLimits.maxQueue > 0 && state.queue.length >= jobLimits.maxQueue) {
+            this.stats.rejected++;
+            const error = new Error(`Request queue for ${state.host} is full (${jobLimits.maxQueue} waiting)`);
+            error.code = 'EQUEUEFULL';
+            return Promise.reject(error);
+        }
+
+        this.stats.scheduled++;
+        return new Promise((resolve, reject) => {
+            const job = { fn, resolve, reject, limits: jobLimits };
+
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(this.abortError(state.host));
+                }
+                job.onAbort = () => {
+                    const index = state.queue.indexOf(job);
+                    if (index !== -1) {
+                        state.queue.splice(index, 1);
+                        reject(this.abortError(state.host));
+                    }
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+                job.signal = signal;
+            }
+
+            state.queue.push(job);
+            this.drain(state);
+        });
+    }
+
+    /**
+     * Pause a host after it answered with Retry-After
+     * @param {string} url - URL on the host
+     * @param {number} delay - Requested pause in milliseconds
+     * @returns {boolean} False if the pause exceeds maxRetryAfter and was not applied
+     */
+    pause(url, delay) {
+        if (delay > this.maxRetryAfter) {
+            return false;
+        }
+
+        const state = this.getHost(new URL(url).host);
+        const until = Date.now() + delay;
+        if (until > state.pausedUntil) {
+            state.pausedUntil = until;
+            this.stats.pauses++;
+            console.warn(`HostScheduler: Pausing ${state.host} for ${delay}ms (Retry-After)`);
+        }
+        return true;
+    }
+
+    /**
+     * Start as many queued jobs as the host limits allow, or wait for the next slot
+     * @param {Object} state - Host state
+     */
+    drain(state) {
+        while (state.queue.length > 0 && state.active < state.queue[0].limits.maxConcurrent) {
+            const wait = Math.max(state.lastStart + state.queue[0].limits.minInterval, state.pausedUntil) - Date.now();
+            if (wait > 0) {
+                if (!state.timer) {
+                    this.stats.delayed++;
+                    state.timer = setTimeout(() => {
+                        state.timer = null;
+                        this.drain(state);
+                    }, wait);
+                }
+                return;
+            }
+
+            const job = state.queue.shift();
+            if (job.signal) {
+                job.signal.removeEventListener('abort', job.onAbort);
+            }
+
+            state.active++;
+            state.lastStart = Date.now();
+            state.lastLimits = job.limits;
+            Promise.resolve()
+                .then(job.fn)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    state.active--;
+                    this.drain(state);
+                });
+        }
+    }
+
+    /**
+     * Get or create the state of a host
+     * @param {string} host - Host name with port
+     * @returns {Object} Host state
+     */
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                host,
+                lastLimits: null,
+                active: 0,
+                queue: [],
+                lastStart: 0,
+                pausedUntil: 0,
+                timer: null
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Forget hosts with nothing running, queued or paused, idle for idleTimeout
+     * A forgotten host starts over with a fresh state, which is what it had anyway
+     */
+    prune() {
+        const now = Date.now();
+        for (const [host, state] of this.hosts) {
+            if (state.active === 0 && state.queue.length === 0 && !state.timer &&
+                state.pausedUntil <= now && now - state.lastStart >= this.idleTimeout) {
+                this.hosts.delete(host);
+                this.stats.evicted++;
+            }
+        }
+    }
+
+    /**
+     * Keep only known, positive or zero numeric limits
+     * @param {Object} limits - Limits from a scraper or torrent source
+     * @returns {Object} Sanitized limits
+     */
+    pickLimits(limits) {
+        const result = {};
+        for (const key of ['maxConcurrent', 'minInterval', 'maxQueue']) {
+            const value = Number(limits[key]);
+            if (limits[key] !== undefined && Number.isFinite(value) && value >= 0) {
+                result[key] = value;
+            }
+        }
+        if (result.maxConcurrent === 0) {
+            delete result.maxConcurrent;
+        }
+        return result;
+    }
+
+    /**
+     * Error for a job aborted while still queued
+     * @param {string} host - Host name
+     * @returns {Error} Error with code ERR_CANCELED
+     */
+    abortError(host) {
+        const error = new Error(`Request to ${host} aborted while queued`);
+        error.code = 'ERR_CANCELED';
+        return error;
+    }
+
+    /**
+     * Get scheduler statistics
+     * @returns {Object} Statistics object with per-host state
+     */
+    getStats() {
+        const now = Date.now();
+        return {
+            ...this.stats,
+            hosts: [...this.hosts.values()].map(state => ({
+                host: state.host,
+                active: state.active,
+                queued: state.queue.length,
+                pausedFor: Math.max(0, state.pausedUntil - now),
+                // Limits of the request started last, callers may differ
+                limits: state.lastLimits || this.defaults
+            }))
+        };
+    }
+}
+
+module.exports = HostScheduler;
@@ -0,0 +1,454 @@
+const axios = require('axios');
+const config = require('./Config');
+const { errorHandler } = require('./ErrorHandler');
+const HostScheduler = require('./HostScheduler');
+const { detectChallenge } = require('./ChallengeSolver');
+
+const DEFAULT_HEADERS = {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+};
+
+// Statuses worth another attempt: timeouts, rate limits and server hiccups
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network failures that usually clear up on their own
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// Statuses sites answer with when they refuse to serve us
+const BLOCKED_STATUSES = [401, 403, 429, 451];
+
+const NOT_FOUND_STATUSES = [404, 410];
+
+// Statuses that count against the proxy a request went through
+const PROXY_FAILURE_STATUSES = [403, 407, 429];
+
+// Statuses whose Retry-After header pauses the host
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Share of each backoff delay randomized, and the longest wait between attempts
+const RETRY_JITTER = 0.5;
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Base class of every error thrown by HttpClient
+ * retryable tells whether another attempt could succeed; response is the
+ * wrapped response for errors caused by an HTTP status
+ */
+class HttpError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = details.url || null;
+        this.status = details.status || null;
+        this.code = details.code || null;
+        this.retryable = !!details.retryable;
+        this.response = details.response || null;
+    }
+}
+
+/** The request did not complete within its timeout */
+class TimeoutError extends HttpError {}
+
+/** The site refused the request (401, 403, 429, 451) */
+class BlockedError extends HttpError {}
+
+/** The site answered with an anti-bot interstitial instead of the page */
+class ChallengeError extends BlockedError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.provider = details.provider || null;
+    }
+}
+
+/** The resource does not exist (404, 410) */
+class NotFoundError extends HttpError {}
+
+/** The response body could not be parsed */
+class ParseError extends HttpError {}
+
+/**
+ * HTTP client shared by every scraper and torrent source
+ * Requests get browser-like default headers, a timeout, limits on redirects
+ * and response size, and are retried with jittered exponential backoff when
+ * they fail for a retryable reason (timeouts, network errors, 429 and 5xx).
+ * Failures surface as typed HttpError subclasses.
+ *
+ * Every attempt goes through a per-host HostScheduler, so concurrency and
+ * politeness limits apply across all callers hitting the same host, and a
+ * Retry-After answer pauses the whole host rather than just one request.
+ * Requests given a ProxyPool go out through one of its proxies, and report
+ * back to the pool whether the proxy worked. Requests given a Session send
+ * its cookies and store the cookies set by every response, redirects included.
+ * Anti-bot challenge pages are recognized by status and markers and fail
+ * with ChallengeError; given a challengeSolver, the client lets it obtain
+ * clearance and then repeats the request once.
+ *
+ * Responses look like fetch() responses ({ ok, status, statusText, url,
+ * headers, text(), json() }) so callers can read them the same way.
+ */
+class HttpClient {
+    constructor(options = {}) {
+        this.timeout = options.timeout || config.get('http.timeout');
+        this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : config.get('http.maxRedirects');
+        this.maxResponseSize = options.maxResponseSize || config.get('http.maxResponseSize');
+        this.retryAttempts = options.retryAttempts || config.get('scrapers.retryAttempts');
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : config.get('scrapers.retryDelay');
+        this.scheduler = options.scheduler || new HostScheduler();
+        this.headers = {
+            'User-Agent': config.get('scrapers.userAgent'),
+            ...DEFAULT_HEADERS,
+            ...(options.headers || {})
+        };
+        this.stats = {
+            requests: 0,
+            retries: 0,
+            failures: 0,
+            challenges: 0
+        };
+    }
+
+    /**
+     * Make a request, retrying retryable failures
+     * @param {string} url - URL to fetch
+     * @param {Object} options - { method, headers, body, timeout, maxRedirects, maxResponseSize,
+     *   retryAttempts, throwHttpErrors (false resolves error statuses instead of throwing), signal,
+     *   limits (per-host scheduling limits of the calling scraper or torrent source),
+     *   proxyPool (ProxyPool to route the request through), session (Session whose cookies to use),
+     *   challengeSolver (async (url, error) => void, obtains clearance for a ChallengeError) }
+     * @returns {Object} fetch-like response
+     * @throws {HttpError} On failure, after the last attempt
+     */
+    async request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+
+        try {
+            return await this.attempt(url, method, options).catch(async error => {
+                if (!(error instanceof ChallengeError) || !options.challengeSolver) {
+                    throw error;
+                }
+
+                this.stats.challenges++;
+                try {
+                    await options.challengeSolver(error.url || url, error);
+                } catch (solveError) {
+                    throw error;
+                }
+                return this.attempt(url, method, options);
+            });
+        } catch (error) {
+            if (options.throwHttpErrors === false && error.response) {
+                return error.response;
+            }
+            this.stats.failures++;
+            throw error;
+        }
+    }
+
+    /**
+     * Make a request with retries on retryable failures
+     * @param {string} url - URL to fetch
+     * @param {string} method - HTTP method
+     * @param {Object} options - Request options, see request()
+     * @returns {Object} fetch-like response
+     */
+    attempt(url, method, options) {
+        return errorHandler.retry(attempt => {
+            if (attempt > 1) {
+                this.stats.retries++;
+            }
+            return this.send(url, method, options);
+        }, options.retryAttempts || this.retryAttempts, this.retryDelay, `HTTP ${method} ${url}`, {
+            shouldRetry: error => error.retryable,
+            jitter: RETRY_JITTER,
+            maxDelay: MAX_RETRY_DELAY
+        });
+    }
+
+    /**
+     * Fetch a URL and return its body as text
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Request options, see request()
+     * @returns {string} Response body
+     */
+    async getText(url, options = {}) {
+        const response = await this.request(url, options);
+        return response.text();
+    }
+
+    /**
+     * Fetch a URL and parse its body as JSON
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Request options, see request()
+     * @returns {*} Parsed body
+     * @throws {ParseError} If the body is not valid JSON
+     */
+    async getJson(url, options = {}) {
+        const response = await this.request(url, {
+            ...options,
+            headers: { 'Accept': 'application/json', ...(options.headers || {}) }
+        });
+        return response.json();
+    }
+
+    /**
+     * Make a single attempt
+     * @param {string} url - URL to fetch
+     * @param {string} method - HTTP method
+     * @param {Object} options - Request options
+     * @returns {Object} fetch-like response
+     * @throws {HttpError} On network failures and error statuses
+     */
+    async send(url, method, options) {
+        this.stats.requests++;
+
+        const timeout = options.timeout || this.timeout;
+        const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : this.maxRedirects;
+        const maxResponseSize = options.maxResponseSize || this.maxResponseSize;
+
+        const proxyPool = options.proxyPool || null;
+        const proxy = proxyPool ? proxyPool.acquire(url) : null;
+        const session = options.session || null;
+        const headers = {
+            ...this.headers,
+            // Clearance cookies only work with the user agent they were issued to
+            ...(session && session.userAgent ? { 'User-Agent': session.userAgent } : {}),
+            ...(options.headers || {})
+        };
+        const explicitCookies = session ? this.takeCookieHeader(headers) : null;
+        if (session) {
+            this.setCookieHeader(headers, session, url, explicitCookies);
+        }
+
+        let response;
+        let started = null;
+        try {
+            response = await this.scheduler.schedule(url, () => {
+                started = Date.now();
+                return axios.request({
+                    url,
+                    method,
+                    headers,
+                    data: options.body,
+                    timeout,
+                    maxRedirects,
+                    maxContentLength: maxResponseSize,
+                    responseType: 'text',
+                    // Keep the raw body, json() parses on demand
+                    transformResponse: [data => data],
+                    validateStatus: () => true,
+                    signal: options.signal,
+                    // Explicit agents replace any proxy from the environment
+                    ...(proxy ? { ...proxyPool.getAgents(proxy, url), proxy: false } : {}),
+                    // Keep cookies set on the way through redirects and send the right ones to each hop
+                    ...(session ? {
+                        beforeRedirect: (redirectOptions, responseDetails, requestDetails) => {
+                            session.storeCookies(responseDetails.headers['set-cookie'], requestDetails.url);
+                            this.takeCookieHeader(redirectOptions.headers);
+                            // Cookies given by the caller only ever go to the host they were meant for
+                            const sameHost = new URL(redirectOptions.href).host === new URL(url).host;
+                            this.setCookieHeader(redirectOptions.headers, session, redirectOptions.href, sameHost ? explicitCookies : null);
+                        }
+                    } : {})
+                });
+            }, options.limits, options.signal);
+        } catch (error) {
+            const typed = this.toError(error, url, { timeout, maxRedirects, maxResponseSize });
+            // Only attempts that actually went out say something about the proxy
+            if (proxy && started !== null && typed.code !== 'ERR_CANCELED') {
+                proxyPool.reportFailure(proxy, typed);
+            }
+            throw typed;
+        }
+
+        const wrapped = this.wrapResponse(response, url);
+        if (session) {
+            session.storeCookies(response.headers['set-cookie'], wrapped.url);
+        }
+        if (proxy) {
+            if (PROXY_FAILURE_STATUSES.includes(wrapped.status)) {
+                proxyPool.reportFailure(proxy, new Error(`HTTP ${wrapped.status}`));
+            } else {
+                proxyPool.reportSuccess(proxy, Date.now() - started);
+            }
+        }
+
+        const provider = detectChallenge(wrapped.status, response.headers, response.data);
+        if (provider) {
+            throw new ChallengeError(`${provider} challenge (HTTP ${wrapped.status})`, {
+                url: wrapped.url,
+                status: wrapped.status,
+                response: wrapped,
+                provider
+            });
+        }
+
+        if (!wrapped.ok) {
+            const error = this.toStatusError(wrapped);
+            if (error.retryAfter !== null && !this.scheduler.pause(url, error.retryAfter)) {
+                // Asked to stay away longer than we are willing to wait
+                error.retryable = false;
+            }
+            throw error;
+        }
+        return wrapped;
+    }
+
+    /**
+     * Remove the Cookie header, whatever its casing
+     * @param {Object} headers - Request headers, modified in place
+     * @returns {string} Removed header value, empty if there was none
+     */
+    takeCookieHeader(headers) {
+        const names = Object.keys(headers).filter(name => name.toLowerCase() === 'cookie');
+        const values = names.map(name => headers[name]).filter(Boolean);
+        names.forEach(name => delete headers[name]);
+        return values.join('; ');
+    }
+
+    /**
+     * Set the Cookie header to the session's cookies for a URL
+     * @param {Object} headers - Request headers without a Cookie header, modified in place
+     * @param {Session} session - Session
+     * @param {string} url - Request URL
+     * @param {string} extra - Cookies given by the caller, sent after the session's
+     */
+    setCookieHeader(headers, session, url, extra) {
+        const cookie = [session.getCookieHeader(url), extra].filter(Boolean).join('; ');
+        if (cookie) {
+            headers['Cookie'] = cookie;
+        }
+    }
+
+    /**
+     * Wrap an axios response in a fetch-like response
+     * @param {Object} response - axios response
+     * @param {string} url - Requested URL
+     * @returns {Object} { ok, status, statusText, url, headers, text(), json() }
+     */
+    wrapResponse(response, url) {
+        const body = response.data === undefined || response.data === null ? '' : String(response.data);
+        // Final URL after redirects
+        const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            statusText: response.statusText,
+            url: finalUrl,
+            headers: response.headers,
+            text: async () => body,
+            json: async () => {
+                try {
+                    return JSON.parse(body);
+                } catch (error) {
+                    throw new ParseError(`Invalid JSON from ${finalUrl}: ${error.message}`, {
+                        url: finalUrl,
+                        status: response.status
+                    });
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the typed error for an error status
+     * @param {Object} response - Wrapped response
+     * @returns {HttpError} Error
+     */
+    toStatusError(response) {
+        const message = `HTTP ${response.status}: ${response.statusText}`;
+        const details = {
+            url: response.url,
+            status: response.status,
+            retryable: RETRYABLE_STATUSES.includes(response.status),
+            response
+        };
+
+        let error;
+        if (NOT_FOUND_STATUSES.includes(response.status)) {
+            error = new NotFoundError(message, details);
+        } else if (BLOCKED_STATUSES.includes(response.status)) {
+            error = new BlockedError(message, details);
+        } else {
+            error = new HttpError(message, details);
+        }
+
+        error.retryAfter = RETRY_AFTER_STATUSES.includes(response.status)
+            ? this.parseRetryAfter(response.headers['retry-after'])
+            : null;
+        return error;
+    }
+
+    /**
+     * Parse a Retry-After header, either delay seconds or an HTTP date
+     * @param {string} value - Header value
+     * @returns {number} Delay in milliseconds, or null if missing or invalid
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Convert an axios failure without a usable response into a typed error
+     * @param {Error} error - axios error
+     * @param {string} url - Requested URL
+     * @param {Object} limits - { timeout, maxRedirects, maxResponseSize } of the attempt
+     * @returns {HttpError} Error
+     */
+    toError(error, url, limits) {
+        const code = error.code || null;
+
+        if (error.name === 'CanceledError' || code === 'ERR_CANCELED') {
+            return new HttpError(`Request aborted: ${url}`, { url, code });
+        }
+        if (TIMEOUT_CODES.includes(code) || /timeout/i.test(error.message)) {
+            return new TimeoutError(`Request timed out after ${limits.timeout}ms: ${url}`, { url, code, retryable: true });
+        }
+        if (/maxContentLength/.test(error.message)) {
+            return new HttpError(`Response larger than ${limits.maxResponseSize} bytes: ${url}`, { url, code });
+        }
+        if (code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+            return new HttpError(`More than ${limits.maxRedirects} redirects: ${url}`, { url, code });
+        }
+
+        return new HttpError(error.message, { url, code, retryable: RETRYABLE_CODES.includes(code) });
+    }
+
+    /**
+     * Get request statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            scheduler: this.scheduler.getStats()
+        };
+    }
+}
+
+// Shared client so every scraper and torrent source goes through the same limits
+const httpClient = new HttpClient();
+
+module.exports = {
+    HttpClient,
+    httpClient,
+    HttpError,
+    TimeoutError,
+    BlockedError,
+    ChallengeError,
+    NotFoundError,
+    ParseError
+};
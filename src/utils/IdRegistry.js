@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Base64Url = require('./Base64Url');
+const config = require('./Config');
+
+// Current version of the export/import format
+const EXPORT_VERSION = 1;
+
+// Token kinds, the first character of a token: path relative to the scraper's
+// base URL or full URL, lowercase stored as is and uppercase deflated
+const TOKEN_RELATIVE = 'r';
+const TOKEN_ABSOLUTE = 'a';
+
+// Longest token and decoded URL we accept, keeps junk IDs cheap to reject
+const MAX_TOKEN_LENGTH = 1024;
+const MAX_URL_LENGTH = 4096;
+
+/**
+ * Registry of stable IDs for scraped content
+ * IDs look like scraped:<scraper>:<token> where the token is the source URL
+ * itself, as base64url of its path relative to the scraper's base URL (or of
+ * the full URL when it lives elsewhere), deflated when that is shorter. Any
+ * instance can therefore resolve any ID without shared state, after a cold
+ * start or on another serverless instance, and one URL always gets the same ID.
+ *
+ * The registry also remembers the type of each ID it handed out and keeps IDs
+ * from older versions, whose hashes cannot be decoded, resolvable. Persisting
+ * those entries to disk is optional: without a file path, or once the file
+ * cannot be written (read-only filesystems such as Vercel's), they stay in memory.
+ */
+class IdRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath !== undefined ? options.filePath : config.get('idRegistry.path');
+        this.saveDelay = options.saveDelay || 1000;
+
+        this.entries = new Map();   // id -> { url, scraper, type, createdAt }
+        this.loaded = false;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Register a source URL and get its ID
+     * Registering the same URL twice returns the same ID
+     * @param {string} url - Source URL
+     * @param {Object} info - { scraper, type, baseUrl (scraper's base URL, keeps IDs short) }
+     * @returns {string} Full scraped ID
+     */
+    register(url, { scraper, type = null, baseUrl = null }) {
+        this.load();
+
+        const scraperKey = scraper.toLowerCase();
+        const id = `scraped:${scraperKey}:${this.encodeToken(url, baseUrl)}`;
+
+        const existing = this.entries.get(id);
+        if (existing) {
+            if (type && !existing.type) {
+                existing.type = type;
+                this.scheduleSave();
+            }
+            return id;
+        }
+
+        this.entries.set(id, { url, scraper: scraperKey, type, createdAt: new Date().toISOString() });
+        this.scheduleSave();
+        return id;
+    }
+
+    /**
+     * Resolve an ID back to its registry entry
+     * IDs this instance did not hand out are decoded from their token
+     * @param {string} id - Full scraped ID
+     * @param {Object} options - { baseUrl (scraper's base URL, for relative tokens) }
+     * @returns {Object} { url, scraper, type, createdAt } or null if unknown
+     */
+    resolve(id, { baseUrl = null } = {}) {
+        this.load();
+
+        const entry = this.entries.get(id);
+        if (entry) return entry;
+
+        const match = typeof id === 'string' && id.match(/^scraped:(.+):([^:]+)$/);
+        const url = match ? this.decodeToken(match[2], baseUrl) : null;
+        return url ? { url, scraper: match[1], type: null, createdAt: null } : null;
+    }
+
+    /**
+     * Encode a source URL as an ID token
+     * @param {string} url - Source URL
+     * @param {string} baseUrl - Scraper's base URL, or null
+     * @returns {string} Token
+     */
+    encodeToken(url, baseUrl) {
+        const base = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+        const rest = base && url.startsWith(base) ? url.slice(base.length) : null;
+        const relative = rest !== null && (rest === '' || /^[/?#]/.test(rest));
+        const kind = relative ? TOKEN_RELATIVE : TOKEN_ABSOLUTE;
+        const value = relative ? rest : url;
+
+        const plain = Base64Url.encode(value);
+        const deflated = Base64Url.encode(zlib.deflateRawSync(value, { level: 9 }));
+        return deflated.length < plain.length ? kind.toUpperCase() + deflated : kind + plain;
+    }
+
+    /**
+     * Decode an ID token back to its source URL
+     * @param {string} token - Token
+     * @param {string} baseUrl - Scraper's base URL, or null
+     * @returns {string} Source URL, or null if the token is not valid
+     */
+    decodeToken(token, baseUrl) {
+        if (token.length > MAX_TOKEN_LENGTH) return null;
+
+        const kind = token[0].toLowerCase();
+        if (kind !== TOKEN_RELATIVE && kind !== TOKEN_ABSOLUTE) return null;
+
+        let value;
+        try {
+            let data = Base64Url.decode(token.slice(1));
+            if (token[0] !== kind) {
+                data = zlib.inflateRawSync(data, { maxOutputLength: MAX_URL_LENGTH });
+            }
+            value = data.toString('utf8');
+        } catch (error) {
+            return null;
+        }
+
+        if (value.length > MAX_URL_LENGTH || value.includes('\uFFFD') || /[\x00-\x1F]/.test(value)) {
+            return null;
+        }
+
+        if (kind === TOKEN_ABSOLUTE) {
+            return value || null;
+        }
+        if (!baseUrl || !(value === '' || /^[/?#]/.test(value))) {
+            return null;
+        }
+        return baseUrl.replace(/\/+$/, '') + value;
+    }
+
+    /**
+     * Export all entries in the portable registry format
+     * @returns {Object} { version, entries: { [id]: entry } }
+     */
+    export() {
+        this.load();
+        return {
+            version: EXPORT_VERSION,
+            entries: Object.fromEntries(this.entries)
+        };
+    }
+
+    /**
+     * Import entries from the portable registry format
+     * Entries whose ID is already taken by a different URL are skipped unless overwrite is set
+     * @param {Object} data - Output of export()
+     * @param {Object} options - { overwrite }
+     * @returns {Object} { imported, skipped }
+     */
+    import(data, { overwrite = false } = {}) {
+        this.load();
+        const result = this.importEntries(data, overwrite);
+        this.scheduleSave();
+        return result;
+    }
+
+    /**
+     * Merge entries from the portable registry format without persisting
+     * @param {Object} data - Output of export()
+     * @param {boolean} overwrite - Replace entries whose ID points at a different URL
+     * @returns {Object} { imported, skipped }
+     */
+    importEntries(data, overwrite) {
+        if (!data || data.version !== EXPORT_VERSION || typeof data.entries !== 'object') {
+            throw new Error(`IdRegistry: Unsupported import format (expected version ${EXPORT_VERSION})`);
+        }
+
+        let imported = 0;
+        let skipped = 0;
+
+        for (const [id, entry] of Object.entries(data.entries)) {
+            const existing = this.entries.get(id);
+            if (!entry || !entry.url || !entry.scraper ||
+                (existing && existing.url !== entry.url && !overwrite)) {
+                skipped++;
+                continue;
+            }
+
+            this.entries.set(id, entry);
+            imported++;
+        }
+
+        return { imported, skipped };
+    }
+
+    /**
+     * Load persisted entries on first use
+     */
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (!this.filePath) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.importEntries(data, true);
+            console.log(`IdRegistry: Loaded ${this.entries.size} IDs from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`IdRegistry: Failed to load ${this.filePath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Debounce writes so bursts of new IDs from a catalog page hit the disk once
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Persist all entries to disk
+     */
+    save() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            // Write to a temporary file first so a crash never leaves a truncated registry
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.export()));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            // Retrying every burst would only repeat the error, keep going in memory
+            console.warn(`IdRegistry: Cannot save ${this.filePath} (${error.message}), keeping IDs in memory only`);
+            this.filePath = null;
+        }
+    }
+
+    /**
+     * Get registry statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        this.load();
+        return {
+            size: this.entries.size,
+            filePath: this.filePath
+        };
+    }
+}
+
+// Shared registry so every scraper resolves IDs from the same mapping
+const idRegistry = new IdRegistry();
+
+module.exports = {
+    IdRegistry,
+    idRegistry
+};
@@ -0,0 +1,129 @@
+const CacheManager = require('./CacheManager');
+const config = require('./Config');
+
+// Empty responses usually mean every source failed, retry those soon
+const EMPTY_RESPONSE_TTL = 60;
+
+// Maps route resources to their cacheTTL config keys
+const RESOURCE_TTL_KEYS = {
+    catalog: 'catalog',
+    meta: 'meta',
+    stream: 'streams'
+};
+
+/**
+ * Caches Stremio route responses and emits matching cache hints
+ * Responses are keyed on the normalized request and stored with the
+ * per-resource TTL from Config. Stremio (cacheMaxAge/staleRevalidate/
+ * staleError) and CDNs (Cache-Control) are told the time the entry has
+ * left, so nobody keeps it past its expiry here. Streams get their own
+ * stale windows since their URLs stop working soon after they expire.
+ * Keys include user input (search terms, config segments), so the cache
+ * keeps at most cacheMaxEntries responses and drops the least recently used.
+ */
+class ResponseCache {
+    constructor(options = {}) {
+        this.cache = options.cache || new CacheManager({ maxEntries: config.get('cacheMaxEntries') });
+        this.enabled = options.enabled !== undefined ? options.enabled : config.get('cacheEnabled');
+        this.stale = {
+            default: {
+                revalidate: config.get('cacheStale.revalidate'),
+                error: config.get('cacheStale.error')
+            },
+            stream: config.get('cacheStale.streams')
+        };
+    }
+
+    /**
+     * Build a normalized cache key for a route request
+     * @param {string} resource - catalog, meta or stream
+     * @param {Object} params - { type, id, extra, userConfig }
+     * @returns {string} Cache key
+     */
+    buildKey(resource, { type, id, extra = {}, userConfig = null }) {
+        const extraKey = Object.keys(extra)
+            .filter(name => extra[name] !== undefined && extra[name] !== '')
+            .sort()
+            .map(name => `${name}=${String(extra[name]).trim().toLowerCase()}`)
+            .join('&');
+
+        const configKey = userConfig ? userConfig.toKey() : 'default';
+        return `response:${resource}:${configKey}:${type}:${id}${extraKey ? `:${extraKey}` : ''}`;
+    }
+
+    /**
+     * Serve a route response from cache, or produce and cache it
+     * The producer may set cacheMaxAge on its body to shorten the TTL,
+     * e.g. for partial results
+     * @param {Object} res - Express response
+     * @param {string} resource - catalog, meta or stream
+     * @param {string} key - Cache key from buildKey()
+     * @param {Function} producer - Async function returning the response body
+     */
+    async handle(res, resource, key, producer) {
+        if (!this.enabled) {
+            res.json(await producer());
+            return;
+        }
+
+        let body;
+        let maxAge;
+        const entry = await this.cache.get(key);
+        if (entry) {
+            body = entry.body;
+            maxAge = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+            res.setHeader('X-Cache', 'HIT');
+        } else {
+            body = await producer();
+            maxAge = this.getTTL(resource, body);
+            if (!this.isEmpty(body)) {
+                await this.cache.set(key, { body, expiresAt: Date.now() + maxAge * 1000 }, maxAge);
+            }
+            res.setHeader('X-Cache', 'MISS');
+        }
+
+        const stale = this.stale[resource] || this.stale.default;
+        const hints = {
+            cacheMaxAge: maxAge,
+            ...(stale.revalidate > 0 && { staleRevalidate: stale.revalidate }),
+            ...(stale.error > 0 && { staleError: stale.error })
+        };
+
+        res.setHeader('Cache-Control', [
+            'public',
+            `max-age=${hints.cacheMaxAge}`,
+            hints.staleRevalidate && `stale-while-revalidate=${hints.staleRevalidate}`,
+            hints.staleError && `stale-if-error=${hints.staleError}`
+        ].filter(Boolean).join(', '));
+        res.json({ ...body, ...hints });
+    }
+
+    /**
+     * Get the TTL in seconds for a response body
+     * @param {string} resource - catalog, meta or stream
+     * @param {Object} body - Response body
+     * @returns {number} TTL in seconds
+     */
+    getTTL(resource, body) {
+        if (this.isEmpty(body)) {
+            return EMPTY_RESPONSE_TTL;
+        }
+
+        const ttl = config.get(`cacheTTL.${RESOURCE_TTL_KEYS[resource]}`);
+        return body.cacheMaxAge ? Math.min(body.cacheMaxAge, ttl) : ttl;
+    }
+
+    /**
+     * Whether a response body carries no results
+     * @param {Object} body - Response body
+     * @returns {boolean}
+     */
+    isEmpty(body) {
+        if (!body) return true;
+        if (Array.isArray(body.metas)) return body.metas.length === 0;
+        if (Array.isArray(body.streams)) return body.streams.length === 0;
+        return !body.meta;
+    }
+}
+
+module.exports = ResponseCache;
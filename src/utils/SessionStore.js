@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { CookieJar, Cookie } = require('tough-cookie');
+const config = require('./Config');
+
+// Current version of the session file format
+const SESSION_VERSION = 1;
+
+/**
+ * Cookies and login state of one scraper
+ * The cookie jar is shared by plain HTTP requests and Puppeteer pages, so a
+ * consent cookie or login obtained either way is used by both. Sessions are
+ * written to disk (debounced) and survive restarts until they expire; an
+ * expired session file is discarded on load and the scraper starts over.
+ */
+class Session {
+    constructor(key, options = {}) {
+        this.key = key;
+        this.filePath = options.filePath || null;
+        this.ttl = options.ttl || config.get('sessions.ttl');
+        this.saveDelay = options.saveDelay || 1000;
+
+        this.jar = new CookieJar();
+        this.createdAt = Date.now();
+        this.loggedInAt = null;
+        this.loginFailedAt = null;
+        // User agent anti-bot clearance cookies were issued to, requests must keep sending it
+        this.userAgent = null;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    /**
+     * Whether a login happened and has not expired yet
+     * @returns {boolean}
+     */
+    isLoggedIn() {
+        return this.loggedInAt !== null && this.loggedInAt + this.ttl > Date.now();
+    }
+
+    /**
+     * Record a successful login
+     */
+    markLoggedIn() {
+        this.loggedInAt = Date.now();
+        this.loginFailedAt = null;
+        this.scheduleSave();
+    }
+
+    /**
+     * Record a failed login attempt
+     */
+    markLoginFailed() {
+        this.loginFailedAt = Date.now();
+    }
+
+    /**
+     * Remember the user agent a browser obtained clearance with
+     * @param {string} userAgent - User agent
+     */
+    setUserAgent(userAgent) {
+        this.userAgent = userAgent;
+        this.scheduleSave();
+    }
+
+    /**
+     * Forget the login, user agent and every cookie, e.g. after the site logged us out
+     */
+    invalidate() {
+        this.jar.removeAllCookiesSync();
+        this.loggedInAt = null;
+        this.userAgent = null;
+        this.scheduleSave();
+    }
+
+    /**
+     * Set cookies, e.g. consent or age-gate cookies, for a site unless the site already set them
+     * @param {Object} cookies - Cookie name -> value
+     * @param {string} url - Site URL the cookies belong to
+     */
+    setDefaults(cookies, url) {
+        const existing = this.jar.getCookiesSync(url).map(cookie => cookie.key);
+        for (const [name, value] of Object.entries(cookies || {})) {
+            if (!existing.includes(name)) {
+                this.jar.setCookieSync(new Cookie({ key: name, value: String(value), path: '/' }), url);
+            }
+        }
+    }
+
+    /**
+     * Whether a cookie would be sent to a URL
+     * @param {string} url - URL
+     * @param {string} name - Cookie name
+     * @returns {boolean}
+     */
+    hasCookie(url, name) {
+        return this.jar.getCookiesSync(url).some(cookie => cookie.key === name);
+    }
+
+    /**
+     * Get the Cookie header value for a request
+     * @param {string} url - Request URL
+     * @returns {string} Cookie header, empty if no cookie applies
+     */
+    getCookieHeader(url) {
+        return this.jar.getCookieStringSync(url);
+    }
+
+    /**
+     * Store the Set-Cookie headers of a response
+     * @param {Array|string} setCookie - Set-Cookie header values
+     * @param {string} url - URL that answered
+     */
+    storeCookies(setCookie, url) {
+        if (!setCookie) return;
+
+        for (const header of [].concat(setCookie)) {
+            this.jar.setCookieSync(header, url, { ignoreError: true });
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Copy the jar's cookies into a Puppeteer page
+     * @param {Object} page - Puppeteer page
+     */
+    async applyToPage(page) {
+        const cookies = this.jar.serializeSync().cookies.map(cookie => ({
+            name: cookie.key,
+            value: cookie.value,
+            // Puppeteer marks domain cookies with a leading dot, host-only cookies without
+            domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+            path: cookie.path || '/',
+            expires: cookie.expires && cookie.expires !== 'Infinity' ? Math.floor(Date.parse(cookie.expires) / 1000) : -1,
+            httpOnly: Boolean(cookie.httpOnly),
+            secure: Boolean(cookie.secure),
+            ...(cookie.sameSite && cookie.sameSite !== 'none' ? { sameSite: cookie.sameSite === 'strict' ? 'Strict' : 'Lax' } : {})
+        }));
+
+        if (cookies.length > 0) {
+            await page.setCookie(...cookies);
+        }
+    }
+
+    /**
+     * Copy the cookies a Puppeteer page collected into the jar
+     * @param {Object} page - Puppeteer page
+     */
+    async captureFromPage(page) {
+        for (const cookie of await page.cookies()) {
+            const domain = cookie.domain.replace(/^\./, '');
+            const url = `${cookie.secure ? 'https' : 'http'}://${domain}${cookie.path || '/'}`;
+            this.jar.setCookieSync(new Cookie({
+                key: cookie.name,
+                value: cookie.value,
+                domain,
+                hostOnly: !cookie.domain.startsWith('.'),
+                path: cookie.path || '/',
+                expires: cookie.expires > 0 ? new Date(cookie.expires * 1000) : 'Infinity',
+                httpOnly: cookie.httpOnly,
+                secure: cookie.secure
+            }), url, { ignoreError: true });
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Load the persisted session, dropping it if it expired
+     */
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (data.version !== SESSION_VERSION || data.savedAt + this.ttl <= Date.now()) {
+                console.log(`SessionStore: Session ${this.key} expired, starting a new one`);
+                fs.unlinkSync(this.filePath);
+                return;
+            }
+
+            this.jar = CookieJar.deserializeSync(data.cookies);
+            this.createdAt = data.createdAt;
+            this.loggedInAt = data.loggedInAt;
+            this.userAgent = data.userAgent || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`SessionStore: Failed to load ${this.filePath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Debounce writes so a page setting several cookies hits the disk once
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Persist the session to disk
+     */
+    save() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            // Write to a temporary file first so a crash never leaves a truncated session
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                version: SESSION_VERSION,
+                key: this.key,
+                createdAt: this.createdAt,
+                loggedInAt: this.loggedInAt,
+                userAgent: this.userAgent,
+                savedAt: Date.now(),
+                cookies: this.jar.serializeSync()
+            }), { mode: 0o600 });
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            console.error(`SessionStore: Failed to save ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Get session statistics, cookie values left out
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            key: this.key,
+            cookies: this.jar.serializeSync().cookies.length,
+            loggedIn: this.isLoggedIn(),
+            loggedInAt: this.loggedInAt ? new Date(this.loggedInAt).toISOString() : null,
+            userAgent: this.userAgent,
+            persisted: Boolean(this.filePath)
+        };
+    }
+}
+
+/**
+ * Sessions of all scrapers, one per scraper key
+ */
+class SessionStore {
+    constructor(options = {}) {
+        this.directory = options.directory || config.get('sessions.path');
+        this.persist = options.persist !== undefined ? options.persist : config.get('sessions.persist');
+        this.sessions = new Map();
+    }
+
+    /**
+     * Get the session of a scraper, loading it from disk on first use
+     * @param {string} key - Scraper key
+     * @returns {Session} Session
+     */
+    get(key) {
+        const sessionKey = key.toLowerCase();
+        if (!this.sessions.has(sessionKey)) {
+            this.sessions.set(sessionKey, new Session(sessionKey, {
+                filePath: this.persist ? path.join(this.directory, `${sessionKey}.json`) : null
+            }));
+        }
+        return this.sessions.get(sessionKey);
+    }
+
+    /**
+     * Get statistics of every session in use
+     * @returns {Array} Session statistics
+     */
+    getStats() {
+        return [...this.sessions.values()].map(session => session.getStats());
+    }
+}
+
+// Shared store so every request of a scraper uses the same session
+const sessionStore = new SessionStore();
+
+module.exports = {
+    Session,
+    SessionStore,
+    sessionStore
+};
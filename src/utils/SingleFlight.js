@@ -0,0 +1,61 @@
+/**
+ * Coalesces concurrent identical lookups into one in-flight job
+ * The first caller for a key runs the job; everyone arriving while it is
+ * still running gets the same promise, including its rejection.
+ */
+class SingleFlight {
+    constructor(name) {
+        this.name = name;
+        this.inFlight = new Map();
+        this.stats = {
+            calls: 0,
+            executions: 0,
+            coalesced: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Run a job, or join the identical one already running
+     * @param {string} key - Job key, identical lookups must produce the same key
+     * @param {Function} fn - Async job
+     * @returns {Promise} Job result
+     */
+    do(key, fn) {
+        this.stats.calls++;
+
+        const existing = this.inFlight.get(key);
+        if (existing) {
+            this.stats.coalesced++;
+            return existing;
+        }
+
+        this.stats.executions++;
+        const promise = Promise.resolve()
+            .then(fn)
+            .catch(error => {
+                this.stats.errors++;
+                throw error;
+            })
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Get coalescing statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            name: this.name,
+            ...this.stats,
+            inFlight: this.inFlight.size
+        };
+    }
+}
+
+module.exports = SingleFlight;
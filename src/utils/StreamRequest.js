@@ -0,0 +1,86 @@
+/**
+ * Structured representation of a Stremio stream request
+ * Stremio sends movies as `tt1234567`, series episodes as `tt1234567:2:5`
+ * and items from our own catalogs as `scraped:<scraper>:<id>`
+ */
+class StreamRequest {
+    constructor({ type, id, imdbId = null, season = null, episode = null, deadline = null, userConfig = null }) {
+        this.type = type;
+        this.id = id;
+        this.imdbId = imdbId;
+        this.season = season;
+        this.episode = episode;
+        // Epoch ms by which all sources must have answered
+        this.deadline = deadline;
+        // Per-user settings from the install URL, null for server defaults
+        this.userConfig = userConfig;
+    }
+
+    /**
+     * Parse route parameters into a stream request
+     * @param {string} type - Content type (movie/series)
+     * @param {string} id - Raw Stremio ID
+     * @param {Object} options - { deadline, userConfig }
+     * @returns {StreamRequest} Parsed request
+     */
+    static parse(type, id, options = {}) {
+        const { deadline = null, userConfig = null } = options;
+
+        if (id.startsWith('scraped:')) {
+            return new StreamRequest({ type, id, deadline, userConfig });
+        }
+
+        const [imdbId, season, episode] = id.split(':');
+        if (!/^tt\d+$/.test(imdbId)) {
+            return new StreamRequest({ type, id, deadline, userConfig });
+        }
+
+        return new StreamRequest({
+            type,
+            id,
+            imdbId,
+            season: season !== undefined ? parseInt(season) : null,
+            episode: episode !== undefined ? parseInt(episode) : null,
+            deadline,
+            userConfig
+        });
+    }
+
+    /**
+     * Whether the request targets content from one of our scrapers
+     * @returns {boolean}
+     */
+    isScraped() {
+        return this.id.startsWith('scraped:');
+    }
+
+    /**
+     * Whether the request targets a specific series episode
+     * @returns {boolean}
+     */
+    isEpisode() {
+        return this.type === 'series' && Number.isInteger(this.season) && Number.isInteger(this.episode);
+    }
+
+    /**
+     * Get the scene-style episode tag for this request
+     * @returns {string} Tag such as "S02E05" or null for non-episode requests
+     */
+    getEpisodeTag() {
+        if (!this.isEpisode()) return null;
+
+        const pad = (number) => String(number).padStart(2, '0');
+        return `S${pad(this.season)}E${pad(this.episode)}`;
+    }
+
+    /**
+     * Get a normalized key identifying this request, including user settings
+     * @returns {string} Request key
+     */
+    toString() {
+        const base = `${this.type}:${this.id}`;
+        return this.userConfig ? `${base}:${this.userConfig.toKey()}` : base;
+    }
+}
+
+module.exports = StreamRequest;
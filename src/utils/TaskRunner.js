@@ -0,0 +1,169 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./Config');
+
+// Abort signal of the task running in the current async context
+const taskSignals = new AsyncLocalStorage();
+
+/**
+ * Runs independent source lookups concurrently under a shared deadline
+ * Each task also gets its own timeout, so one slow site cannot use up the
+ * whole request budget. Whatever has finished when the deadline hits is
+ * returned, the rest is reported as timed out.
+ *
+ * Each task runs with its own AbortSignal, aborted once the task times out
+ * or the batch deadline passes. Requests made through a scraper's or torrent
+ * source's makeRequest() pick it up with TaskRunner.currentSignal(), so the
+ * requests of a task nobody waits for anymore leave the host queues (and
+ * running ones are cancelled) instead of still going out later. Work that
+ * does not check the signal, such as browser pages, keeps running in the
+ * background and its result is discarded. Without AbortController (Node
+ * before 15) tasks are not cancelled at all.
+ */
+class TaskRunner {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || config.get('maxConcurrentRequests');
+        this.taskTimeout = options.taskTimeout || config.get('sourceTimeout');
+    }
+
+    /**
+     * Run named tasks concurrently
+     * @param {Array} tasks - Array of { name, run } where run returns a promise and gets the task's AbortSignal
+     * @param {Object} options - { deadline: epoch ms for the whole batch, taskTimeout: ms per task }
+     * @returns {Object} { results: [{ name, value }], report: { completed, failed, timedOut, durationMs } }
+     */
+    async run(tasks, options = {}) {
+        const startedAt = Date.now();
+        const deadline = options.deadline || startedAt + config.get('timeout');
+        const taskTimeout = options.taskTimeout || this.taskTimeout;
+
+        const results = [];
+        const report = { completed: [], failed: [], timedOut: [], durationMs: 0 };
+        const pending = new Set(tasks.map(task => task.name));
+        const queue = [...tasks];
+        const controllers = new Set();
+
+        await new Promise(resolve => {
+            let running = 0;
+            let finished = false;
+
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(deadlineTimer);
+                // Whatever is still running has run out of time
+                for (const controller of controllers) {
+                    controller.abort();
+                }
+                resolve();
+            };
+
+            const deadlineTimer = setTimeout(finish, Math.max(0, deadline - startedAt));
+
+            const startNext = () => {
+                if (finished) return;
+                if (queue.length === 0 && running === 0) {
+                    finish();
+                    return;
+                }
+
+                while (running < this.concurrency && queue.length > 0) {
+                    const task = queue.shift();
+                    const controller = this.createController();
+                    if (controller) controllers.add(controller);
+                    running++;
+
+                    // Once the batch has finished its results and report belong to the
+                    // caller, tasks settling after that must not touch them
+                    this.runWithTimeout(task, Math.min(taskTimeout, deadline - Date.now()), controller)
+                        .then(value => {
+                            if (finished) return;
+                            results.push({ name: task.name, value });
+                            report.completed.push(task.name);
+                        })
+                        .catch(error => {
+                            if (finished) return;
+                            if (error.timedOut) {
+                                report.timedOut.push(task.name);
+                            } else {
+                                report.failed.push({ name: task.name, error: error.message });
+                            }
+                        })
+                        .finally(() => {
+                            controllers.delete(controller);
+                            if (finished) return;
+                            pending.delete(task.name);
+                            running--;
+                            startNext();
+                        });
+                }
+            };
+
+            startNext();
+        });
+
+        // Anything still running or never started ran out of time
+        for (const name of pending) {
+            report.timedOut.push(name);
+        }
+        report.durationMs = Date.now() - startedAt;
+
+        return { results, report };
+    }
+
+    /**
+     * Race a task against its timeout
+     * The task's signal is aborted when the timeout wins, see the class comment
+     * @param {Object} task - { name, run }, run gets the task's AbortSignal
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {AbortController} controller - Controller of the task, or null
+     * @returns {Promise} Task result, rejects with error.timedOut on timeout
+     */
+    runWithTimeout(task, timeout, controller = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new Error(`${task.name} timed out after ${timeout}ms`);
+                error.timedOut = true;
+                reject(error);
+                if (controller) controller.abort();
+            }, Math.max(0, timeout));
+
+            const signal = controller ? controller.signal : null;
+            Promise.resolve()
+                .then(() => signal ? taskSignals.run(signal, () => task.run(signal)) : task.run(null))
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timer));
+        });
+    }
+
+    /**
+     * Create the abort controller of a task
+     * Tasks started from within another task are aborted along with it
+     * @returns {AbortController} Controller, or null where AbortController is not available
+     */
+    createController() {
+        if (typeof AbortController !== 'function') {
+            return null;
+        }
+
+        const controller = new AbortController();
+        const parent = TaskRunner.currentSignal();
+        if (parent) {
+            if (parent.aborted) {
+                controller.abort();
+            } else {
+                parent.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+        return controller;
+    }
+
+    /**
+     * Get the abort signal of the task running in the current async context
+     * @returns {AbortSignal} Signal, or null outside of a task
+     */
+    static currentSignal() {
+        return taskSignals.getStore() || null;
+    }
+}
+
+module.exports = TaskRunner;
@@ -0,0 +1,213 @@
+const { titleNormalizer } = require('./TitleNormalizer');
+const config = require('./Config');
+
+/**
+ * Scoring model for a search result against resolved metadata, 0 to 1:
+ *
+ * - Title (weight 0.7): best similarity between any of the result's names
+ *   (name and aliases) and any known title (title, original title, aliases).
+ *   Similarity blends token overlap (Dice over word sets, 60%) with character
+ *   bigram overlap (40%) so word order, extra words and small spelling
+ *   differences all cost a little; cross-script pairs are compared
+ *   transliterated at 90% of their similarity
+ * - Year (weight 0.2): same 1, one off 0.8, two off 0.4, unknown 0.5, more
+ *   than two off -1 for movies since same-titled remakes are common. Series
+ *   pages often carry a later season's year, so for series each further year
+ *   only takes another 0.1 off, down to 0
+ * - Type (weight 0.1): same 1, unknown 0.5, different 0
+ */
+const WEIGHTS = {
+    title: 0.7,
+    year: 0.2,
+    type: 0.1
+};
+
+const YEAR_SCORES = [1, 0.8, 0.4];
+const YEAR_MISMATCH_SCORE = -1;
+const SERIES_YEAR_PENALTY = 0.1;
+const UNKNOWN_SCORE = 0.5;
+const CROSS_SCRIPT_FACTOR = 0.9;
+
+/**
+ * Picks the search result that best matches resolved metadata
+ * Matches at or above the threshold are confident; matches between the
+ * minimum score and the threshold are kept but flagged so callers can rank
+ * them lower; anything below the minimum score is not a match.
+ */
+class TitleMatcher {
+    constructor(options = {}) {
+        this.threshold = options.threshold !== undefined ? options.threshold : config.get('matching.threshold');
+        this.minScore = options.minScore !== undefined ? options.minScore : config.get('matching.minScore');
+    }
+
+    /**
+     * Find the best matching candidate
+     * @param {Array} candidates - Meta objects from a scraper search
+     * @param {Object} metadata - { title, originalTitle, aliases, year }
+     * @param {string} type - Requested content type
+     * @returns {Object} { candidate, score, confident, breakdown } or null if nothing scores above minScore
+     */
+    findBest(candidates, metadata, type) {
+        let best = null;
+
+        for (const candidate of candidates || []) {
+            const result = this.score(candidate, metadata, type);
+            if (!best || result.score > best.score) {
+                best = { candidate, ...result };
+            }
+        }
+
+        if (!best || best.score < this.minScore) {
+            return null;
+        }
+
+        return { ...best, confident: best.score >= this.threshold };
+    }
+
+    /**
+     * Score one candidate according to the documented scoring model
+     * @param {Object} candidate - Meta object with name, aliases, year, type
+     * @param {Object} metadata - { title, originalTitle, aliases, year }
+     * @param {string} type - Requested content type
+     * @returns {Object} { score, breakdown: { title, year, type } }
+     */
+    score(candidate, metadata, type) {
+        const breakdown = {
+            title: Math.round(this.scoreTitles(
+                [candidate.name, ...(candidate.aliases || [])],
+                [metadata.title, metadata.originalTitle, ...(metadata.aliases || [])]
+            ) * 1000) / 1000,
+            year: this.scoreYear(this.parseYear(candidate.year || candidate.releaseInfo), metadata.year, type),
+            type: !candidate.type || !type ? UNKNOWN_SCORE : (candidate.type === type ? 1 : 0)
+        };
+
+        const score = Object.keys(WEIGHTS).reduce((total, key) => total + WEIGHTS[key] * breakdown[key], 0);
+        return {
+            score: Math.max(0, Math.round(score * 1000) / 1000),
+            breakdown
+        };
+    }
+
+    /**
+     * Best similarity between two sets of titles
+     * @param {Array} names - Candidate names
+     * @param {Array} titles - Known titles
+     * @returns {number} Similarity 0..1
+     */
+    scoreTitles(names, titles) {
+        let best = 0;
+
+        for (const name of names.filter(Boolean)) {
+            for (const title of titles.filter(Boolean)) {
+                best = Math.max(best, this.similarity(name, title));
+                if (best === 1) return best;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Similarity of two titles in any script
+     * @param {string} a - First title
+     * @param {string} b - Second title
+     * @returns {number} Similarity 0..1
+     */
+    similarity(a, b) {
+        const left = titleNormalizer.normalize(a);
+        const right = titleNormalizer.normalize(b);
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+
+        if (titleNormalizer.isLatin(left) === titleNormalizer.isLatin(right)) {
+            return this.compare(left, right);
+        }
+
+        return CROSS_SCRIPT_FACTOR * this.compare(
+            titleNormalizer.normalize(a, { transliterate: true }),
+            titleNormalizer.normalize(b, { transliterate: true })
+        );
+    }
+
+    /**
+     * Blend token and character bigram overlap of two normalized titles
+     * @param {string} left - Normalized title
+     * @param {string} right - Normalized title
+     * @returns {number} Similarity 0..1
+     */
+    compare(left, right) {
+        if (left === right) return 1;
+
+        const tokens = this.dice(new Set(left.split(' ')), new Set(right.split(' ')));
+        const bigrams = this.dice(this.bigrams(left), this.bigrams(right));
+        return 0.6 * tokens + 0.4 * bigrams;
+    }
+
+    /**
+     * Sørensen-Dice coefficient of two sets
+     * @param {Set} a - First set
+     * @param {Set} b - Second set
+     * @returns {number} Coefficient 0..1
+     */
+    dice(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+
+        let shared = 0;
+        for (const item of a) {
+            if (b.has(item)) shared++;
+        }
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Character bigrams of a normalized title, ignoring spaces
+     * @param {string} text - Normalized title
+     * @returns {Set} Bigrams
+     */
+    bigrams(text) {
+        const chars = [...text.replace(/ /g, '')];
+        const result = new Set();
+        for (let i = 0; i < chars.length - 1; i++) {
+            result.add(chars[i] + chars[i + 1]);
+        }
+        return result;
+    }
+
+    /**
+     * Score year proximity
+     * @param {number} candidateYear - Candidate year
+     * @param {number} expectedYear - Expected year
+     * @param {string} type - Requested content type
+     * @returns {number} Year score
+     */
+    scoreYear(candidateYear, expectedYear, type) {
+        if (!candidateYear || !expectedYear) {
+            return UNKNOWN_SCORE;
+        }
+
+        const difference = Math.abs(candidateYear - expectedYear);
+        if (difference < YEAR_SCORES.length) {
+            return YEAR_SCORES[difference];
+        }
+
+        if (type === 'series') {
+            const lastScore = YEAR_SCORES[YEAR_SCORES.length - 1];
+            const penalty = (difference - YEAR_SCORES.length + 1) * SERIES_YEAR_PENALTY;
+            return Math.max(0, Math.round((lastScore - penalty) * 1000) / 1000);
+        }
+        return YEAR_MISMATCH_SCORE;
+    }
+
+    /**
+     * Read a year from a number or a release string such as "2008-2013"
+     * @param {number|string} value - Year or release info
+     * @returns {number} Year or null
+     */
+    parseYear(value) {
+        if (!value) return null;
+        const match = String(value).match(/\d{4}/);
+        return match ? parseInt(match[0]) : null;
+    }
+}
+
+module.exports = TitleMatcher;
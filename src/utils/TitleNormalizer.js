@@ -0,0 +1,157 @@
+// Arabic harakat, Quranic marks and superscript alef
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E8\u06EA-\u06ED]/g;
+const ARABIC_TATWEEL = /\u0640/g;
+
+// Letter variants that are spelled interchangeably in titles
+const ARABIC_FOLDING = {
+    'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+    'ى': 'ي', 'ی': 'ي', 'ئ': 'ي',
+    'ة': 'ه',
+    'ؤ': 'و',
+    'ک': 'ك'
+};
+
+// Latin letters that do not decompose into a base letter plus accent
+const LATIN_FOLDING = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ł': 'l', 'þ': 'th', 'ð': 'd', 'ı': 'i'
+};
+
+// Rough romanization, good enough to line up titles across scripts
+const TRANSLITERATION = {
+    // Arabic, applied after folding
+    'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd',
+    'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't',
+    'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm',
+    'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ء': '', 'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g',
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh',
+    'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+    'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+    'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+    // Greek
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+/**
+ * Unicode-aware title normalization shared by everything that compares titles
+ * Titles are NFKC-normalized and lowercased, Arabic diacritics and tatweel
+ * are removed, alef/ya/ta-marbuta variants folded, Latin accents stripped and
+ * punctuation collapsed to single spaces, so "Amélie", "AMELIE" and "Amelie!"
+ * all become "amelie" and Arabic titles survive instead of becoming empty.
+ *
+ * With { transliterate: true } non-Latin letters are also romanized, which
+ * lets titles be compared across scripts, loosely.
+ */
+class TitleNormalizer {
+    /**
+     * Normalize a title for comparison
+     * @param {string} title - Title in any script
+     * @param {Object} options - { transliterate }
+     * @returns {string} Normalized title, empty for missing titles
+     */
+    normalize(title, options = {}) {
+        if (!title) return '';
+
+        let text = String(title)
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(ARABIC_DIACRITICS, '')
+            .replace(ARABIC_TATWEEL, '')
+            .replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+
+        text = this.mapCharacters(text, ARABIC_FOLDING);
+        text = this.foldLatin(text);
+
+        if (options.transliterate) {
+            text = this.transliterate(text);
+        }
+
+        return text
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Split a title into normalized tokens
+     * @param {string} title - Title in any script
+     * @param {Object} options - { transliterate }
+     * @returns {Array} Tokens
+     */
+    tokenize(title, options = {}) {
+        const normalized = this.normalize(title, options);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    /**
+     * Whether two titles are equal once normalized
+     * Cross-script pairs are compared transliterated
+     * @param {string} a - First title
+     * @param {string} b - Second title
+     * @returns {boolean}
+     */
+    equals(a, b) {
+        const left = this.normalize(a);
+        const right = this.normalize(b);
+        if (!left || !right) return false;
+        if (left === right) return true;
+
+        return this.isLatin(left) !== this.isLatin(right) &&
+            this.normalize(a, { transliterate: true }) === this.normalize(b, { transliterate: true });
+    }
+
+    /**
+     * Strip accents from Latin letters, e.g. "é" to "e"
+     * Only combining marks following Latin letters are dropped so other
+     * scripts keep theirs
+     * @param {string} text - Lowercased text
+     * @returns {string} Folded text
+     */
+    foldLatin(text) {
+        return this.mapCharacters(text, LATIN_FOLDING)
+            .normalize('NFD')
+            .replace(/([a-z])\p{M}+/gu, '$1')
+            .normalize('NFC');
+    }
+
+    /**
+     * Romanize Arabic, Cyrillic and Greek letters
+     * @param {string} text - Normalized text
+     * @returns {string} Transliterated text
+     */
+    transliterate(text) {
+        return this.mapCharacters(text.normalize('NFD').replace(/\p{M}/gu, ''), TRANSLITERATION);
+    }
+
+    /**
+     * Whether text contains only Latin letters, digits and spaces
+     * @param {string} text - Normalized text
+     * @returns {boolean}
+     */
+    isLatin(text) {
+        return /^[a-z0-9 ]*$/.test(text);
+    }
+
+    /**
+     * Replace characters through a lookup table
+     * @param {string} text - Text
+     * @param {Object} table - Character -> replacement
+     * @returns {string} Mapped text
+     */
+    mapCharacters(text, table) {
+        let result = '';
+        for (const char of text) {
+            result += table[char] !== undefined ? table[char] : char;
+        }
+        return result;
+    }
+}
+
+const titleNormalizer = new TitleNormalizer();
+
+module.exports = {
+    TitleNormalizer,
+    titleNormalizer
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Base64Url = require('./Base64Url');
+const { QUALITY } = require('../streams/StreamPipeline');
+
+// Longest config path segment we accept, keeps junk URLs cheap to reject
+const MAX_ENCODED_LENGTH = 2048;
+
+// Shortest segment taken for a config, the configure page always writes every field
+const MIN_ENCODED_LENGTH = 16;
+
+// Qualities a user can pick as minimum, best first
+const MIN_QUALITY_OPTIONS = [QUALITY.UHD, QUALITY.QHD, QUALITY.FHD, QUALITY.HD, QUALITY.SD, QUALITY.LD];
+
+/**
+ * Per-user settings carried in the install URL
+ * The addon is installed as /<config>/manifest.json where <config> is a
+ * base64url-encoded JSON blob; every later Stremio request repeats it, so
+ * settings override Config defaults per request without any server state.
+ *
+ * Unset fields fall back to the server defaults: null scrapers/torrentSources
+ * means "everything the server has enabled".
+ */
+class UserConfig {
+    constructor(settings = {}) {
+        this.scrapers = settings.scrapers || null;
+        this.torrentSources = settings.torrentSources || null;
+        this.minQuality = settings.minQuality || null;
+        this.languages = settings.languages || [];
+        this.maxResults = settings.maxResults || null;
+    }
+
+    /**
+     * Whether a path segment looks like an encoded config
+     * base64url of a JSON object always starts with "e" (from "{"), so paths
+     * such as favicon.ico or robots.txt are left to other routes
+     * @param {string} segment - Path segment
+     * @returns {boolean}
+     */
+    static isEncoded(segment) {
+        return typeof segment === 'string' &&
+            segment.length >= MIN_ENCODED_LENGTH &&
+            segment.length <= MAX_ENCODED_LENGTH &&
+            segment.startsWith('e') &&
+            Base64Url.isBase64Url(segment);
+    }
+
+    /**
+     * Decode and validate a config path segment
+     * @param {string} encoded - base64url-encoded JSON
+     * @returns {UserConfig} Parsed config
+     * @throws {Error} If the segment is not a valid config
+     */
+    static decode(encoded) {
+        if (!encoded || encoded.length > MAX_ENCODED_LENGTH) {
+            throw new Error('Invalid configuration: missing or too long');
+        }
+
+        let settings;
+        try {
+            settings = JSON.parse(Base64Url.decode(encoded).toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid configuration: not base64url-encoded JSON');
+        }
+
+        return new UserConfig(UserConfig.validate(settings));
+    }
+
+    /**
+     * Validate raw settings and drop anything unusable
+     * @param {Object} settings - Raw settings object
+     * @returns {Object} Clean settings
+     * @throws {Error} If settings is not an object or has invalid values
+     */
+    static validate(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Invalid configuration: expected an object');
+        }
+
+        const stringList = (value, name) => {
+            if (value === undefined || value === null) return null;
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                throw new Error(`Invalid configuration: ${name} must be a list of strings`);
+            }
+            return [...new Set(value.map(item => item.trim().toLowerCase()).filter(Boolean))];
+        };
+
+        const clean = {
+            scrapers: stringList(settings.scrapers, 'scrapers'),
+            torrentSources: stringList(settings.torrentSources, 'torrentSources'),
+            languages: stringList(settings.languages, 'languages') || [],
+            minQuality: null,
+            maxResults: null
+        };
+
+        if (settings.minQuality) {
+            if (!MIN_QUALITY_OPTIONS.includes(settings.minQuality)) {
+                throw new Error(`Invalid configuration: minQuality must be one of ${MIN_QUALITY_OPTIONS.join(', ')}`);
+            }
+            clean.minQuality = settings.minQuality;
+        }
+
+        if (settings.maxResults !== undefined && settings.maxResults !== null) {
+            const maxResults = parseInt(settings.maxResults);
+            if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 100) {
+                throw new Error('Invalid configuration: maxResults must be between 1 and 100');
+            }
+            clean.maxResults = maxResults;
+        }
+
+        return clean;
+    }
+
+    /**
+     * Encode these settings as a config path segment
+     * @returns {string} base64url-encoded JSON
+     */
+    encode() {
+        return Base64Url.encode(JSON.stringify(this.toJSON()));
+    }
+
+    /**
+     * Get a short key identifying these settings, for cache and coalescing keys
+     * @returns {string} Settings hash
+     */
+    toKey() {
+        return crypto.createHash('sha1').update(JSON.stringify(this.toJSON())).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Whether a scraper is selected
+     * @param {string} name - Scraper name
+     * @returns {boolean}
+     */
+    isScraperEnabled(name) {
+        return !this.scrapers || this.scrapers.includes(name.toLowerCase());
+    }
+
+    /**
+     * Whether a torrent source is selected
+     * @param {string} key - Torrent source key
+     * @returns {boolean}
+     */
+    isTorrentSourceEnabled(key) {
+        return !this.torrentSources || this.torrentSources.includes(key.toLowerCase());
+    }
+
+    /**
+     * Options for StreamPipeline.process()
+     * @returns {Object} { limit, minQuality, languages }
+     */
+    getPipelineOptions() {
+        return {
+            limit: this.maxResults,
+            minQuality: this.minQuality,
+            languages: this.languages
+        };
+    }
+
+    toJSON() {
+        return {
+            scrapers: this.scrapers,
+            torrentSources: this.torrentSources,
+            minQuality: this.minQuality,
+            languages: this.languages,
+            maxResults: this.maxResults
+        };
+    }
+}
+
+module.exports = UserConfig;
+module.exports.MIN_QUALITY_OPTIONS = MIN_QUALITY_OPTIONS;
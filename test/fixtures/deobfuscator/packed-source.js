@@ -0,0 +1 @@
+var player=jwplayer("vplayer");player.setup({sources:[{file:"https://cdn.packed.example/hls/abc123/master.m3u8",label:"1080p"}],tracks:[{file:"https://cdn.packed.example/subs/abc123-ar.vtt",label:"Arabic",kind:"captions"}],image:"https://cdn.packed.example/thumbs/abc123.jpg",width:"100%",height:"100%",stretching:"uniform",aspectratio:"16:9",autostart:false,primary:"html5",hlshtml:true,androidhls:true,preload:"metadata",mute:false,controls:true,displaytitle:false,playbackRateControls:[0.5,1,1.25,1.5,2],abouttext:"Player",aboutlink:"https://packed.example/about",logo:{file:"https://cdn.packed.example/logo.png",link:"https://packed.example",position:"top-right",hide:true,margin:8},captions:{color:"#FFFFFF",fontSize:14,fontFamily:"Tahoma",backgroundOpacity:0,edgeStyle:"raised"},cast:{appid:"00000000"},skin:{name:"seven",active:"#e50914",inactive:"#cccccc",background:"transparent"}});player.on("ready",function(){player.play()});player.on("error",function(err){console.log(err.message)});
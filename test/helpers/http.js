@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { httpClient, NotFoundError } = require('../../src/utils/HttpClient');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Read a saved page from test/fixtures
+ * @param {...string} parts - Path below the fixtures directory
+ * @returns {string} File content
+ */
+function fixture(...parts) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, ...parts), 'utf8');
+}
+
+/**
+ * Answer every request of the shared HttpClient from a route table
+ * Routes map a URL to a body, to { status, body, headers }, or to a function
+ * (url, options) returning either. Unknown URLs fail like a 404 so a test
+ * never reaches the network.
+ * @param {Object} routes - URL -> response
+ * @returns {Object} { requests: [{ url, headers }], restore() }
+ */
+function stubHttp(routes) {
+    const original = httpClient.request;
+    const requests = [];
+
+    httpClient.request = async (url, options = {}) => {
+        requests.push({ url, headers: options.headers || {} });
+
+        let route = routes[url];
+        if (typeof route === 'function') {
+            route = route(url, options);
+        }
+        if (route === undefined) {
+            throw new NotFoundError(`No fixture for ${url}`, { url, status: 404 });
+        }
+
+        const response = typeof route === 'string' ? { body: route } : route;
+        const status = response.status || 200;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: '',
+            url,
+            headers: response.headers || {},
+            text: async () => response.body,
+            json: async () => JSON.parse(response.body)
+        };
+    };
+
+    return {
+        requests,
+        restore: () => {
+            httpClient.request = original;
+        }
+    };
+}
+
+module.exports = {
+    fixture,
+    stubHttp
+};
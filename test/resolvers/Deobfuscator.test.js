@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { fixture } = require('../helpers/http');
+const { Deobfuscator } = require('../../src/resolvers/Deobfuscator');
+const { mediaExtractor } = require('../../src/resolvers/MediaExtractor');
+
+const page = name => fixture('deobfuscator', name);
+const scriptOf = html => html.match(/<script[^>]*>\s*([\s\S]*?)\s*<\/script>/)[1];
+
+describe('Deobfuscator', () => {
+    const deobfuscate = text => new Deobfuscator({ timeout: 1000 }).deobfuscate(text);
+
+    it('unpacks p,a,c,k,e,d packed scripts from their arguments', () => {
+        const deobfuscator = new Deobfuscator({ timeout: 1000 });
+        const text = deobfuscator.deobfuscate(page('packed.html'));
+
+        assert.strictEqual(scriptOf(text), page('packed-source.js').trim());
+        assert.strictEqual(deobfuscator.getStats().unpacked, 1);
+    });
+
+    it('lets the extractor read sources and tracks from packed players', () => {
+        const html = page('packed.html');
+
+        assert.deepStrictEqual(mediaExtractor.extractSources(html, 'https://packed.example/e/1'), [
+            { url: 'https://cdn.packed.example/hls/abc123/master.m3u8', quality: '1080p' }
+        ]);
+        assert.deepStrictEqual(mediaExtractor.extractSubtitles(html, 'https://packed.example/e/1').map(track => track.url), [
+            'https://cdn.packed.example/subs/abc123-ar.vtt'
+        ]);
+    });
+
+    it('decodes atob() and base64 calls, and base64 literals holding player data', () => {
+        const lines = deobfuscate(page('base64.html')).split('\n');
+
+        assert.ok(lines.includes("var src = 'https://cdn.b64.example/hls/xyz/index.m3u8';"));
+        assert.ok(lines.includes(`var frame = '<iframe src="https://embed.b64.example/e/xyz"></iframe>';`));
+        assert.ok(lines.includes(`var config = { data: '{"file":"https://cdn.b64.example/mp4/xyz-720p.mp4","label":"720p"}' };`));
+        // Decodes to text without anything a player needs, kept as it was
+        assert.ok(lines.includes("var token = 'c2Vzc2lvbi03ZjNhOWMxZS1ub3QtYS1saW5rLWF0LWFsbA==';"));
+    });
+
+    it('decodes hex and unicode escapes and escaped slashes', () => {
+        const lines = deobfuscate(page('escapes.html')).split('\n');
+
+        assert.ok(lines.includes('var a = "https://cdn.hex.example/a.m3u8";'));
+        assert.ok(lines.includes("var b = 'https://cdn.unicode.example/b.mp4';"));
+        assert.ok(lines.includes('var c = "https://cdn.slash.example/c.m3u8";'));
+        // Escaped quotes and backslashes would end or break the literal
+        assert.ok(lines.includes(`var d = "say \\x22hi\\x22 and 'bye' \\x5c";`));
+    });
+
+    it('replaces JSON.parse() calls with the JSON they parse', () => {
+        const lines = deobfuscate(page('json-parse.html')).split('\n');
+
+        assert.ok(lines.includes(`var setup = {"sources":[{"file":"https://cdn.json.example/hls/m.m3u8","label":"HD"}],"title":"It's here"};`));
+    });
+
+    it('folds string concatenations across quote styles', () => {
+        const lines = deobfuscate(page('concat.html')).split('\n');
+
+        assert.ok(lines.includes("var host = 'https://cdn.concat.example';"));
+        assert.ok(lines.includes(`var file = "https://cdn.concat.example/v/it's-master.m3u8";`));
+        assert.ok(lines.includes(`var quoted = 'say "hi"';`));
+    });
+
+    it('never runs page code, hostile packers included', async () => {
+        const deobfuscator = new Deobfuscator({ timeout: 1000 });
+        const html = page('hostile.html');
+        const text = deobfuscator.deobfuscate(html);
+
+        // A packer variant whose keywords are not a split string cannot be unpacked without running it, it stays as is
+        assert.ok(text.includes("eval(function(p,a,c,k,e,d){(function spin(){Promise.resolve().then(spin)})();return p}('0 1',62,2,['never','run'],0,{}))"));
+        assert.ok(text.includes("unpacked without('running')"));
+        assert.strictEqual(deobfuscator.getStats().unpacked, 1);
+
+        // Neither the spinning promise chain nor the endless loop ran, timers still fire
+        await new Promise(resolve => setTimeout(resolve, 10));
+    });
+
+    it('returns what it decoded so far once the time budget runs out', () => {
+        const deobfuscator = new Deobfuscator({ timeout: 1 });
+        const text = `var url = ${"'a' + ".repeat(20000)}'a';`;
+        const result = deobfuscator.deobfuscate(text);
+
+        assert.strictEqual(deobfuscator.getStats().timeouts, 1);
+        assert.ok(result.startsWith("var url = 'a"));
+    });
+
+    it('leaves pages without obfuscation untouched', () => {
+        const deobfuscator = new Deobfuscator({ timeout: 1000 });
+        const html = '<video src="https://cdn.example/plain.mp4"></video>';
+
+        assert.strictEqual(deobfuscator.deobfuscate(html), html);
+        assert.strictEqual(deobfuscator.getStats().pages, 0);
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fixture, stubHttp } = require('../helpers/http');
+const { httpClient } = require('../../src/utils/HttpClient');
+const { EmbedResolverRegistry } = require('../../src/resolvers/EmbedResolverRegistry');
+const StreamtapeResolver = require('../../src/resolvers/StreamtapeResolver');
+const DoodstreamResolver = require('../../src/resolvers/DoodstreamResolver');
+const GenericResolver = require('../../src/resolvers/GenericResolver');
+
+const SITE_URL = 'https://site.example/movie';
+const PASS_MD5_URL = 'https://dood.watch/pass_md5/123456-78-90-1700000000-5d41402abc4b2a76/q1w2e3r4t5';
+const STREAMTAPE_SOURCE = 'https://streamtape.com/get_video?id=Ab12Cd&expires=1700000000&ip=GxE&token=Q9tok&stream=1';
+
+const page = name => fixture('embeds', name);
+
+describe('embed resolvers', () => {
+    const context = { referer: SITE_URL, request: (url, options) => httpClient.request(url, options) };
+    let http;
+
+    before(() => {
+        http = stubHttp({
+            'https://streamtape.com/e/Ab12Cd/': page('streamtape.html'),
+            'https://streamtape.com/e/Gone00/': page('streamtape-removed.html'),
+            'https://dood.watch/e/xyz': page('doodstream.html'),
+            [PASS_MD5_URL]: 'https://b7x.cloudatacdn.example/u5kj6xqd3zlsswdgoyjba/abcdefghij~\n',
+            'https://player.example/e/abc': page('generic-jwplayer.html'),
+            'https://player.example/wrap': page('generic-wrapper.html'),
+            'https://player.example/generic-video.html': page('generic-video.html'),
+            'https://loop.example/a': page('frame-loop-a.html'),
+            'https://loop.example/b': page('frame-loop-b.html'),
+            'https://loop.example/end': page('generic-video.html'),
+            'https://chain.example/': page('frame-next.html'),
+            'https://chain.example/next/': page('frame-next.html'),
+            'https://chain.example/next/next/': page('frame-next.html'),
+            'https://chain.example/next/next/next/': page('generic-video.html'),
+            'https://frames.example/': page('frame-many.html'),
+            'https://frames.example/p1/': page('generic-video.html'),
+            'https://frames.example/p2/': page('generic-video.html'),
+            'https://frames.example/p3/': page('generic-video.html'),
+            'https://frames.example/p4/': page('generic-video.html')
+        });
+    });
+
+    after(() => http.restore());
+
+    describe('StreamtapeResolver', () => {
+        it('assembles the robotlink URL from the download page', async () => {
+            const result = await new StreamtapeResolver().resolve('https://streamtape.com/v/Ab12Cd/', context);
+
+            assert.deepStrictEqual(result.sources, [{ url: STREAMTAPE_SOURCE, quality: null }]);
+            assert.strictEqual(result.headers, null);
+            assert.deepStrictEqual(result.subtitles, [
+                { url: 'https://streamtape.com/subs/Ab12Cd.vtt', lang: 'en', label: 'English' }
+            ]);
+        });
+
+        it('finds nothing on a removed video', async () => {
+            const result = await new StreamtapeResolver().resolve('https://streamtape.com/e/Gone00/', context);
+            assert.deepStrictEqual(result.sources, []);
+        });
+    });
+
+    describe('DoodstreamResolver', () => {
+        it('builds the source from pass_md5 and requires the player Referer', async () => {
+            const result = await new DoodstreamResolver().resolve('https://dood.watch/d/xyz', context);
+
+            assert.strictEqual(result.sources.length, 1);
+            assert.match(result.sources[0].url,
+                /^https:\/\/b7x\.cloudatacdn\.example\/u5kj6xqd3zlsswdgoyjba\/abcdefghij~[A-Za-z0-9]{10}\?token=q1w2e3r4t5&expiry=\d+$/);
+            assert.deepStrictEqual(result.headers, { 'Referer': 'https://dood.watch/' });
+            assert.deepStrictEqual(result.subtitles, [
+                { url: 'https://dood.watch/srt/xyz-ar.vtt', lang: 'ar', label: 'Arabic' }
+            ]);
+
+            const passRequest = http.requests.find(request => request.url === PASS_MD5_URL);
+            assert.strictEqual(passRequest.headers.Referer, 'https://dood.watch/e/xyz');
+        });
+    });
+
+    describe('GenericResolver', () => {
+        it('reads JW Player sources with their labels and caption tracks', async () => {
+            const result = await new GenericResolver().resolve('https://player.example/e/abc', context);
+
+            assert.strictEqual(result.server, 'player.example');
+            assert.deepStrictEqual(result.sources, [
+                { url: 'https://cdn.player.example/hls/abc/1080/index.m3u8', quality: '1080p' },
+                { url: 'https://cdn.player.example/hls/abc/720/index.m3u8', quality: '720p' }
+            ]);
+            assert.strictEqual(result.headers, null);
+            assert.deepStrictEqual(result.subtitles, [
+                { url: 'https://cdn.player.example/subs/abc-en.vtt', lang: 'en', label: 'English' }
+            ]);
+        });
+
+        it('reads relative <video> sources and tracks, and reports nested frames', async () => {
+            const video = await new GenericResolver().resolve('https://player.example/generic-video.html', context);
+            assert.deepStrictEqual(video.sources, [{ url: 'https://player.example/media/abc-480p.mp4', quality: '480' }]);
+            assert.deepStrictEqual(video.subtitles, [
+                { url: 'https://player.example/media/abc-fr.srt', lang: 'fr', label: 'Français' }
+            ]);
+
+            const wrapper = await new GenericResolver().resolve('https://player.example/wrap', context);
+            assert.deepStrictEqual(wrapper.sources, []);
+            assert.deepStrictEqual(wrapper.iframes, [
+                'https://player.example/generic-video.html#autoplay',
+                'https://streamtape.com/e/Ab12Cd/'
+            ]);
+        });
+    });
+
+    describe('EmbedResolverRegistry', () => {
+        const registry = new EmbedResolverRegistry();
+
+        it('picks resolvers by host name pattern', () => {
+            const resolverFor = url => registry.find(url).name;
+
+            assert.strictEqual(resolverFor('https://streamtape.com/e/Ab12Cd/'), 'Streamtape');
+            assert.strictEqual(resolverFor('https://www.strtape.cloud/e/Ab12Cd/'), 'Streamtape');
+            assert.strictEqual(resolverFor('https://cdn.streamta.pe/e/Ab12Cd/'), 'Streamtape');
+            assert.strictEqual(resolverFor('https://dood.watch/e/xyz'), 'DoodStream');
+            assert.strictEqual(resolverFor('https://d0o0d.com/e/xyz'), 'DoodStream');
+            assert.strictEqual(resolverFor('https://ds2play.com/e/xyz'), 'DoodStream');
+            assert.strictEqual(resolverFor('https://streamtape.com.mirror.example/e/Ab12Cd/'), 'Generic');
+            assert.strictEqual(resolverFor('https://player.example/e/abc'), 'Generic');
+        });
+
+        it('falls back to the generic resolver when the host resolver finds nothing', async () => {
+            const sources = await registry.resolve('https://streamtape.com/e/Gone00/', context);
+
+            assert.deepStrictEqual(sources.map(source => [source.url, source.server]), [
+                ['https://streamtape.com/promo/not-found.mp4', 'streamtape.com']
+            ]);
+            assert.deepStrictEqual(sources[0].chain, [{ url: 'https://streamtape.com/e/Gone00/', resolver: 'Generic' }]);
+        });
+
+        it('passes host resolver headers on with the sources', async () => {
+            const [source] = await registry.resolve('https://dood.watch/d/xyz', context);
+
+            assert.strictEqual(source.server, 'DoodStream');
+            assert.deepStrictEqual(source.headers, { 'Referer': 'https://dood.watch/' });
+        });
+
+        it('follows nested players with the embedding page as Referer', async () => {
+            const sources = await registry.resolve('https://player.example/wrap', context);
+
+            assert.deepStrictEqual(sources.map(source => [source.url, source.chain.map(hop => hop.resolver)]), [
+                ['https://player.example/media/abc-480p.mp4', ['Generic', 'Generic']],
+                [STREAMTAPE_SOURCE, ['Generic', 'Streamtape']]
+            ]);
+
+            const nested = http.requests.filter(request => request.headers.Referer === 'https://player.example/wrap');
+            assert.deepStrictEqual(nested.map(request => request.url), [
+                'https://player.example/generic-video.html',
+                'https://streamtape.com/e/Ab12Cd/'
+            ]);
+        });
+
+        it('visits every player once, whatever its fragment, so frame loops end', async () => {
+            const before = http.requests.length;
+            const sources = await registry.resolve('https://loop.example/a', context);
+
+            assert.deepStrictEqual(sources.map(source => [source.url, source.chain.map(hop => hop.url)]), [
+                ['https://loop.example/media/abc-480p.mp4', ['https://loop.example/a', 'https://loop.example/b', 'https://loop.example/end']]
+            ]);
+            assert.deepStrictEqual(http.requests.slice(before).map(request => request.url), [
+                'https://loop.example/a',
+                'https://loop.example/b',
+                'https://loop.example/end'
+            ]);
+        });
+
+        it('stops following nested players below maxDepth', async () => {
+            const before = http.requests.length;
+            const sources = await new EmbedResolverRegistry({ maxDepth: 2 }).resolve('https://chain.example/', context);
+
+            assert.deepStrictEqual(sources, []);
+            assert.deepStrictEqual(http.requests.slice(before).map(request => request.url), [
+                'https://chain.example/',
+                'https://chain.example/next/',
+                'https://chain.example/next/next/'
+            ]);
+        });
+
+        it('traces every hop down to maxDepth', async () => {
+            const sources = await new EmbedResolverRegistry({ maxDepth: 3 }).resolve('https://chain.example/', context);
+
+            assert.deepStrictEqual(sources.map(source => source.url), ['https://chain.example/media/abc-480p.mp4']);
+            assert.deepStrictEqual(sources[0].chain, [
+                { url: 'https://chain.example/', resolver: 'Generic' },
+                { url: 'https://chain.example/next/', resolver: 'Generic' },
+                { url: 'https://chain.example/next/next/', resolver: 'Generic' },
+                { url: 'https://chain.example/next/next/next/', resolver: 'Generic' }
+            ]);
+        });
+
+        it('follows at most maxFrames iframes per page', async () => {
+            const before = http.requests.length;
+            const sources = await new EmbedResolverRegistry({ maxFrames: 2 }).resolve('https://frames.example/', context);
+
+            assert.deepStrictEqual(sources.map(source => source.chain.map(hop => hop.url)), [
+                ['https://frames.example/', 'https://frames.example/p1/'],
+                ['https://frames.example/', 'https://frames.example/p2/']
+            ]);
+            assert.deepStrictEqual(http.requests.slice(before).map(request => request.url), [
+                'https://frames.example/',
+                'https://frames.example/p1/',
+                'https://frames.example/p2/'
+            ]);
+        });
+
+        it('returns direct media links without fetching them', async () => {
+            const before = http.requests.length;
+            const sources = await registry.resolve('https://cdn.example/files/movie.m3u8?token=1', context);
+
+            assert.deepStrictEqual(sources.map(source => [source.url, source.chain[0].resolver]), [
+                ['https://cdn.example/files/movie.m3u8?token=1', 'Direct']
+            ]);
+            assert.strictEqual(http.requests.length, before);
+        });
+    });
+});
@@ -0,0 +1,194 @@
+// Keep scraped IDs in memory, tests must not write ./data
+process.env.ID_REGISTRY_PATH = '';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fixture, stubHttp } = require('../helpers/http');
+const WecinaScraper = require('../../src/scrapers/WecinaScraper');
+
+const MOVIE_URL = 'https://wecima.video/movie/the-matrix-1999/';
+const SERIES_URL = 'https://wecima.video/series/el-ekhteyar/';
+const EPISODE_URL = 'https://wecima.video/watch/el-ekhteyar-s2-e12/';
+
+const page = name => fixture('wecima', name);
+
+describe('WecinaScraper', () => {
+    const scraper = new WecinaScraper();
+    let http;
+    let results;
+
+    before(async () => {
+        http = stubHttp({
+            'https://wecima.video/search?q=Matrix': page('search.html'),
+            [MOVIE_URL]: page('movie.html'),
+            [SERIES_URL]: page('series.html'),
+            'https://wecima.video/series/el-ekhteyar-season-2/': page('season-2.html'),
+            [EPISODE_URL]: page('episode.html'),
+            'https://vidbom.example/embed-matrix.html': page('vidbom-embed-matrix.html'),
+            'https://vidbom.example/embed-ekhteyar-s2e12.html': page('vidbom-embed-episode.html'),
+            'https://streamtape.com/e/XyZ123/': page('streamtape-embed.html'),
+            'https://wecima.video/player/?id=7': page('wecima-player.html'),
+            'https://embed.example/v/55': page('embed-frame.html'),
+            'https://embed.example/inner/55': page('embed-inner.html')
+        });
+        results = await scraper.search('Matrix', 'movie');
+    });
+
+    after(() => http.restore());
+
+    describe('search', () => {
+        it('keeps the Latin title as name and the Arabic one as alias', () => {
+            const [matrix] = results;
+            assert.strictEqual(matrix.name, 'The Matrix');
+            assert.deepStrictEqual(matrix.aliases, ['المصفوفة']);
+            assert.strictEqual(matrix.type, 'movie');
+            assert.strictEqual(matrix.poster, 'https://img.wecima.video/posters/the-matrix.jpg');
+        });
+
+        it('reads years written in Eastern Arabic digits', () => {
+            assert.strictEqual(results[0].year, 1999);
+            assert.strictEqual(results[1].year, 2020);
+        });
+
+        it('keeps Arabic-only titles and detects series from the link', () => {
+            const series = results[1];
+            assert.strictEqual(series.name, 'الاختيار');
+            assert.deepStrictEqual(series.aliases, []);
+            assert.strictEqual(series.type, 'series');
+        });
+
+        it('takes the last year as the release year', () => {
+            assert.strictEqual(results[2].name, 'Blade Runner 2049');
+            assert.strictEqual(results[2].year, 2017);
+            assert.strictEqual(results[2].poster, 'https://img.wecima.video/posters/blade-runner-2049.jpg');
+        });
+
+        it('hands out scraped IDs that resolve back to the page', () => {
+            assert.match(results[0].id, /^scraped:wecima:/);
+            assert.strictEqual(scraper.getUrlFromId(results[0].id), MOVIE_URL);
+        });
+    });
+
+    describe('getMeta', () => {
+        it('reads a movie page', async () => {
+            const meta = await scraper.getMeta(results[0].id, 'movie');
+
+            assert.strictEqual(meta.name, 'The Matrix');
+            assert.deepStrictEqual(meta.aliases, ['المصفوفة']);
+            assert.strictEqual(meta.year, 1999);
+            assert.strictEqual(meta.imdbRating, 8.7);
+            assert.deepStrictEqual(meta.genres, ['اكشن', 'خيال علمي']);
+            assert.strictEqual(meta.runtime, '136 دقيقة');
+            assert.strictEqual(meta.country, 'امريكا');
+            assert.strictEqual(meta.description, 'مبرمج يكتشف أن العالم الذي يعيش فيه محاكاة.');
+            assert.strictEqual(meta.videos, undefined);
+        });
+
+        it('lists the episodes of every season', async () => {
+            const meta = await scraper.getMeta(results[1].id, 'series');
+
+            assert.strictEqual(meta.type, 'series');
+            assert.strictEqual(meta.name, 'الاختيار');
+            assert.strictEqual(meta.year, 2020);
+            assert.deepStrictEqual(meta.videos.map(video => [video.season, video.episode]), [
+                [1, 1], [1, 2], [2, 11], [2, 12]
+            ]);
+            assert.strictEqual(meta.videos[3].title, 'الحلقة ١٢');
+            assert.strictEqual(scraper.getUrlFromId(meta.videos[3].id), EPISODE_URL);
+
+            // The first season is the series page itself and is not fetched twice
+            assert.strictEqual(http.requests.filter(request => request.url === SERIES_URL).length, 1);
+        });
+    });
+
+    describe('getStreams', () => {
+        let streams;
+
+        before(async () => {
+            streams = await scraper.getStreams(results[0].id, 'movie');
+        });
+
+        const byServer = server => streams.filter(stream => stream.server === server);
+
+        it('lists the direct downloads with their quality', () => {
+            assert.deepStrictEqual(byServer('Download').map(stream => [stream.url, stream.quality]), [
+                ['https://dl.wecima.video/the.matrix.1999.1080p.mp4', '1080P'],
+                ['https://dl.wecima.video/the.matrix.1999.720p.mp4', '720P']
+            ]);
+        });
+
+        it('resolves a server tab with a data-url button', () => {
+            const [stream] = byServer('Vidbom');
+            assert.strictEqual(stream.url, 'https://cdn.vidbom.example/hls/matrix/index.m3u8');
+            assert.strictEqual(stream.quality, '720P');
+        });
+
+        it('resolves a server tab with data-watch on the tab itself', () => {
+            const [stream] = byServer('Streamtape');
+            assert.strictEqual(stream.url, 'https://streamtape.com/get_video?id=XyZ123&expires=1700000000&ip=F0x&token=tok42&stream=1');
+        });
+
+        it('resolves a relative server tab with its subtitles', () => {
+            const [stream] = byServer('سيرفر وي سيما');
+            assert.strictEqual(stream.url, 'https://s1.wecima.video/m/the-matrix/1080.m3u8');
+            assert.strictEqual(stream.quality, '1080P');
+            assert.deepStrictEqual(stream.subtitles.map(subtitle => [subtitle.url, subtitle.lang]), [
+                ['https://s1.wecima.video/sub/the-matrix-ar.vtt', 'ar']
+            ]);
+        });
+
+        it('resolves players that only appear as iframes, nested ones included', () => {
+            const [stream] = byServer('embed.example');
+            assert.strictEqual(stream.url, 'https://embed.example/files/55-360p.mp4');
+            assert.deepStrictEqual(stream.embedChain.map(hop => hop.url), [
+                'https://embed.example/v/55',
+                'https://embed.example/inner/55'
+            ]);
+        });
+
+        it('resolves each mirror once, with the page as Referer', () => {
+            const mirrors = http.requests.filter(request => request.headers.Referer === MOVIE_URL);
+            assert.deepStrictEqual(mirrors.map(request => request.url).sort(), [
+                'https://embed.example/v/55',
+                'https://streamtape.com/e/XyZ123/',
+                'https://vidbom.example/embed-matrix.html',
+                'https://wecima.video/player/?id=7'
+            ]);
+            assert.strictEqual(streams.length, 6);
+        });
+
+        it('marks subtitled releases', () => {
+            assert.ok(streams.every(stream => stream.qualityNote === 'Arabic subtitles'));
+        });
+
+        it('marks dubbed episodes as Arabic audio', async () => {
+            const meta = await scraper.getMeta(results[1].id, 'series');
+            const episode = meta.videos.find(video => video.season === 2 && video.episode === 12);
+            const episodeStreams = await scraper.getStreams(episode.id, 'series');
+
+            assert.strictEqual(episodeStreams.length, 1);
+            assert.strictEqual(episodeStreams[0].url, 'https://cdn.vidbom.example/files/ekhteyar-s2e12-480p.mp4');
+            assert.strictEqual(episodeStreams[0].language, 'ar');
+            assert.strictEqual(episodeStreams[0].qualityNote, 'Arabic dub');
+        });
+    });
+
+    describe('parseTitle', () => {
+        it('drops season and episode suffixes and noise words', () => {
+            assert.deepStrictEqual(scraper.parseTitle('مسلسل Breaking Bad الموسم الثاني الحلقة ١٢ مترجمة اون لاين'), {
+                title: 'Breaking Bad',
+                arabicTitle: null,
+                year: null
+            });
+        });
+    });
+
+    describe('parseNumber', () => {
+        it('reads digits, Eastern Arabic digits and ordinals', () => {
+            assert.strictEqual(scraper.parseNumber('الموسم 3', 'الموسم'), 3);
+            assert.strictEqual(scraper.parseNumber('الحلقة ١٥', 'الحلقة'), 15);
+            assert.strictEqual(scraper.parseNumber('الموسم الثاني عشر', 'الموسم'), 12);
+            assert.strictEqual(scraper.parseNumber('الموسم', 'الموسم'), null);
+        });
+    });
+});